@@ -0,0 +1,482 @@
+import { readFileSync } from "fs";
+import { parseArgs } from "util";
+import { createInterface } from "readline/promises";
+import { QueryClient, WalletClient } from '../util/client.js';
+import { Network } from '../util/networks.js';
+import { All } from '../util/pagination.js';
+import { Token, FormatPrice } from '../util/tokens.js';
+import { ParseAmount } from '../util/denom.js';
+import { ToDate } from '../util/time.js';
+import { InvalidInputError } from '../util/errors.js';
+import { Query, Execute, Admin } from '../marketplace-contract/marketplace.js';
+import { Iterate } from '../marketplace-contract/iterators.js';
+import { IdStrategy, NewSwapId, WithIds } from '../marketplace-contract/ids.js';
+import { Query as MinterQuery, Execute as MinterExecute } from '../minter-contract/minter.js';
+
+const SALE = "Sale";
+const OFFER = "Offer";
+
+// Env var holding the signer's mnemonic or private key, unless `--key-file` is given
+const SECRET_ENV = "PROJ_NFT_SECRET";
+
+const OPTIONS = {
+  network: { type: "string" },
+  json: { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  "key-file": { type: "string" },
+  account: { type: "string" },
+  help: { type: "boolean", short: "h" },
+  // Queries
+  type: { type: "string" },
+  page: { type: "string" },
+  limit: { type: "string" },
+  all: { type: "boolean" },
+  ids: { type: "boolean" },
+  "start-after": { type: "string" },
+  min: { type: "string" },
+  max: { type: "string" },
+  // Txs
+  price: { type: "string" },
+  expires: { type: "string" },
+  cw20: { type: "string" },
+  cw721: { type: "string" },
+  id: { type: "string" },
+  "id-strategy": { type: "string" },
+  "allowance-expires": { type: "string" },
+  fees: { type: "string" },
+  admin: { type: "string" },
+  config: { type: "string" }
+};
+
+const USAGE = `Usage: proj-nft <command> [arguments] [options]
+
+Marketplace queries
+  config                          Marketplace config
+  swaps list                      Listings, or offers with --type Offer (--page, --limit, --all, --ids)
+  swaps ids                       Swap ids (--start-after, --limit)
+  swaps details <id>              Details of a swap
+  swaps of <address>              Swaps created by an address (--type, --ids)
+  swaps token <token_id>          Swaps of a token (--cw721, --type, --ids)
+  swaps price                     Swaps within a price range (--min, --max, --type, --ids)
+  swaps total                     Amount of swaps (--type)
+
+Marketplace txs
+  swap create <token_id>          Create a swap (--price, --expires, --type, --cw20, --cw721, --id, --id-strategy, --allowance-expires)
+  swap finish <id>                Buy a listing, or accept an offer (--allowance-expires)
+  swap cancel <id>                Cancel a swap
+  swap update <id>                Change the price and/or expiration of a swap (--price, --expires)
+
+Marketplace admin txs
+  admin update-config             Change the fees or the admin (--fees, --admin)
+  admin add-nft <cw721>           Add a collection to the curated collections
+  admin remove-nft <cw721>        Remove a collection from the curated collections
+  admin withdraw <amount>         Withdraw marketplace fees (--cw20)
+
+Minter
+  minter config                   Minter config
+  minter mint                     Mint an NFT
+  minter reveal <token_id>        Reveal an NFT
+  minter withdraw <amount>        Withdraw minting funds
+  minter initialize               Initialize the minter
+  minter enable-reveal            Enable public minting and revealing
+  minter update-config            Change the minter config (--config '<json>')
+
+Options
+  --network <name>                Network profile, e.g. mainnet, constantine or local (default: env VUE_APP_NETWORK, or mainnet)
+  --json                          Print JSON instead of tables
+  --key-file <path>               File with the signer's mnemonic or private key (default: env ${SECRET_ENV})
+  --account <n>                   HD account index of a mnemonic (default 0)
+  -y, --yes                       Broadcast txs without confirmation
+
+Prices and amounts are in ARCH (or in the --cw20 token), e.g. --price 1.5; expirations are durations ("7d"),
+dates ("2025-01-31"), timestamps or "never". An expired cw20 allowance of the marketplace is only renewed with
+--allowance-expires.`;
+
+// Output
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value == "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Format rows as a text table
+ * @param {Array} rows : Array of objects
+ * @param {Array} columns? : (Optional) Keys of the columns; defaults to the keys of the first row
+ * @returns {String}
+ */
+function Table(rows, columns = null) {
+  if (!rows.length) return "(none)";
+  columns = columns || Object.keys(rows[0]);
+  let cells = rows.map((row) => columns.map((column) => formatValue(row[column])));
+  let widths = columns.map((column, i) => Math.max(column.length, ...cells.map((row) => row[i].length)));
+  let line = (values) => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(columns), line(widths.map((width) => "-".repeat(width))), ...cells.map(line)].join("\n");
+}
+
+function formatExpiration(expires) {
+  if (!expires || expires.never !== undefined) return "never";
+  if (expires.at_height !== undefined) return "height " + expires.at_height;
+  return ToDate(expires).toISOString();
+}
+
+async function swapRows(swaps, client, ids = true) {
+  let rows = [];
+  for (const swap of swaps) {
+    rows.push({
+      ...((ids) ? { id: swap.id } : {}),
+      type: swap.swap_type,
+      token_id: swap.token_id,
+      price: await FormatPrice(swap.price, swap.payment_token || null, client),
+      expires: formatExpiration(swap.expires),
+      creator: swap.creator
+    });
+  }
+  return rows;
+}
+
+// Paged swaps have no ids; with `--ids` they're looked up (see `WithIds`, a query per swap of the marketplace), so swaps
+// can be finished, cancelled or updated by id
+async function swapResult(swaps, client, flags) {
+  if (flags.ids) swaps = await WithIds(swaps, client);
+  return { value: swaps, rows: await swapRows(swaps, client, !!flags.ids) };
+}
+
+// Context
+
+function Context(flags, options) {
+  const network = Network(flags.network || null);
+  let reader = options.client || null;
+  let signer = options.client || null;
+
+  return {
+    flags: flags,
+    network: network,
+    print: options.print || ((text) => console.log(text)),
+    // Read-only client of queries
+    async Reader() {
+      if (!reader) reader = await QueryClient(network);
+      return reader;
+    },
+    // Signing client of txs; the secret is read from `--key-file`, or the `PROJ_NFT_SECRET` env var
+    async Signer() {
+      if (signer) return signer;
+      let secret = (flags["key-file"]) ? (options.readFile || readFileSync)(flags["key-file"], "utf8") : process.env[SECRET_ENV];
+      if (!secret) throw new InvalidInputError("No signer: pass --key-file, or set " + SECRET_ENV);
+      signer = await WalletClient(secret, Number(flags.account || 0), network);
+      return signer;
+    },
+    async Confirm(question) {
+      if (flags.yes) return true;
+      if (options.confirm) return options.confirm(question);
+      let prompt = createInterface({ input: process.stdin, output: process.stderr });
+      try {
+        return /^y(es)?$/i.test((await prompt.question(question + " [y/N] ")).trim());
+      } finally {
+        prompt.close();
+      }
+    }
+  };
+}
+
+function swapType(flags) {
+  let type = flags.type || SALE;
+  let match = [SALE, OFFER].find((known) => known.toLowerCase() == type.toLowerCase());
+  if (!match) throw new InvalidInputError("Invalid --type " + type + ": expected Sale or Offer");
+  return match;
+}
+
+function required(value, name) {
+  if (value === undefined || value === null || value === "") throw new InvalidInputError("Missing " + name);
+  return value;
+}
+
+// Expiration of `--expires`; dates (e.g. "2025-01-31") are passed to `Expiration` as JS dates
+function expiration(value) {
+  return (/^\d{4}-\d{2}-\d{2}/.test(value)) ? new Date(value) : value;
+}
+
+// Expiration of a renewed cw20 allowance, from `--allowance-expires`
+function allowanceExpiration(flags) {
+  return (flags["allowance-expires"]) ? expiration(flags["allowance-expires"]) : null;
+}
+
+// Price of `--price` (in display units) in atomic units of the payment token
+async function atomic(value, payment_token, client) {
+  let token = await Token(payment_token || null, client);
+  if (token.error) throw new InvalidInputError("Unknown payment token " + payment_token);
+  return ParseAmount(value, token.decimals);
+}
+
+/**
+ * Simulate a marketplace tx, show its fee and ask for confirmation, then broadcast it
+ * @param {Object} ctx : Command context
+ * @param {String} description : What the tx does
+ * @param {Function} send : `async (options) => result`; calls an `Execute` or `Admin` helper with `options`
+ * @returns {Object} : The tx result, or `{ broadcast: false }` if it wasn't confirmed
+ */
+async function broadcast(ctx, description, send) {
+  let simulation = await send({ simulate: true });
+  if (simulation.broadcast === false) return simulation;
+  ctx.print(description);
+  ctx.print("Fee: " + simulation.fee.display + " (" + simulation.gas + " gas)");
+  simulation.funds.forEach((coin) => ctx.print("Sends: " + coin.amount + coin.denom));
+  if (!await ctx.Confirm("Broadcast tx?")) return { broadcast: false };
+  return send({});
+}
+
+// Minter txs can't be simulated; ask for confirmation of their description
+async function minterTx(ctx, description, send) {
+  ctx.print(description);
+  if (!await ctx.Confirm("Broadcast tx?")) return { broadcast: false };
+  let tx = await send();
+  if (tx && tx.error) throw new Error(tx.error);
+  return tx;
+}
+
+async function minterConfig(client) {
+  let config = await MinterQuery.Config(client);
+  if (config.error) throw config.error;
+  return config;
+}
+
+function txOutput(tx) {
+  if (tx.broadcast === false) return tx;
+  return { height: tx.height, transactionHash: tx.transactionHash, gasUsed: tx.gasUsed, gasWanted: tx.gasWanted };
+}
+
+// Commands, by name; each returns `{ value, rows?, columns? }`. `rows` are printed as a table, unless `--json` is given
+
+const Commands = {
+  "config": async (ctx) => ({ value: await Query.Config(await ctx.Reader()) }),
+
+  "swaps list": async (ctx) => {
+    let client = await ctx.Reader();
+    let type = swapType(ctx.flags);
+    let swaps;
+    if (ctx.flags.all) {
+      swaps = await All((type == SALE) ? Iterate.GetListings(client) : Iterate.GetOffers(client));
+    } else {
+      let page = Number(ctx.flags.page || 0), limit = Number(ctx.flags.limit || 10);
+      let result = (type == SALE)
+        ? await Query.GetListings(page, limit, client)
+        : await Query.GetOffers(page, limit, client);
+      swaps = result.swaps;
+    }
+    return swapResult(swaps, client, ctx.flags);
+  },
+
+  "swaps ids": async (ctx) => {
+    let result = await Query.List(ctx.flags["start-after"] || null, Number(ctx.flags.limit || 0) || null, await ctx.Reader());
+    return { value: result.swaps, rows: result.swaps.map((id) => ({ id: id })) };
+  },
+
+  "swaps details": async (ctx, [id]) => {
+    let client = await ctx.Reader();
+    let swap = await Query.Details(required(id, "<id>"), client);
+    return { value: swap, rows: await swapRows([{ id: id, ...swap }], client) };
+  },
+
+  "swaps of": async (ctx, [address]) => {
+    let client = await ctx.Reader();
+    let swaps = await All(Iterate.SwapsOf(required(address, "<address>"), swapType(ctx.flags), client));
+    return swapResult(swaps, client, ctx.flags);
+  },
+
+  "swaps token": async (ctx, [token_id]) => {
+    let client = await ctx.Reader();
+    let type = (ctx.flags.type) ? swapType(ctx.flags) : null;
+    let swaps = await All(Iterate.ListingsOfToken(required(token_id, "<token_id>"), ctx.flags.cw721 || null, type, client));
+    return swapResult(swaps, client, ctx.flags);
+  },
+
+  "swaps price": async (ctx) => {
+    let client = await ctx.Reader();
+    let min = (ctx.flags.min) ? await atomic(ctx.flags.min, null, client) : null;
+    let max = (ctx.flags.max) ? await atomic(ctx.flags.max, null, client) : null;
+    let swaps = await All(Iterate.SwapsByPrice(min, max, swapType(ctx.flags), client));
+    return swapResult(swaps, client, ctx.flags);
+  },
+
+  "swaps total": async (ctx) => ({ value: await Query.GetTotal(swapType(ctx.flags), await ctx.Reader()) }),
+
+  "swap create": async (ctx, [token_id]) => {
+    let client = await ctx.Signer();
+    let flags = ctx.flags;
+    let type = swapType(flags);
+    required(token_id, "<token_id>");
+    let price = await atomic(required(flags.price, "--price"), flags.cw20, client);
+    let expires = expiration(required(flags.expires, "--expires"));
+    let id = flags.id || await NewSwapId(flags["id-strategy"] || IdStrategy.UUID, { token_id: token_id, cw721: flags.cw721 }, client);
+    let description = "Create " + type + " " + id + " of token " + token_id + " for "
+      + await FormatPrice(price, flags.cw20 || null, client) + ", expires " + flags.expires;
+    let tx = await broadcast(ctx, description, (options) => {
+      options = { ...options, cw721: flags.cw721, preflight: true, allowanceExpires: allowanceExpiration(flags) };
+      return (flags.cw20)
+        ? Execute.CreateCw20(id, flags.cw20, token_id, expires, price, '', type, client, options)
+        : Execute.CreateNative(id, token_id, expires, price, type, client, options);
+    });
+    return { value: { id: id, ...txOutput(tx) } };
+  },
+
+  "swap finish": async (ctx, [id]) => {
+    let client = await ctx.Signer();
+    let swap = await Query.Details(required(id, "<id>"), client);
+    let action = (swap.swap_type == SALE) ? "Buy token " : "Sell token ";
+    let description = action + swap.token_id + " for " + await FormatPrice(swap.price, swap.payment_token || null, client);
+    let tx = await broadcast(ctx, description, (options) => {
+      options = { ...options, preflight: true, allowanceExpires: allowanceExpiration(ctx.flags) };
+      return (swap.payment_token)
+        ? Execute.FinishCw20(id, swap, '', client, options)
+        : Execute.FinishNative(id, swap, client, options);
+    });
+    return { value: txOutput(tx) };
+  },
+
+  "swap cancel": async (ctx, [id]) => {
+    let client = await ctx.Signer();
+    required(id, "<id>");
+    let tx = await broadcast(ctx, "Cancel swap " + id, (options) => Execute.Cancel(id, client, options));
+    return { value: txOutput(tx) };
+  },
+
+  "swap update": async (ctx, [id]) => {
+    let client = await ctx.Signer();
+    let swap = await Query.Details(required(id, "<id>"), client);
+    if (!ctx.flags.price && !ctx.flags.expires) throw new InvalidInputError("Missing --price or --expires");
+    let price = (ctx.flags.price) ? await atomic(ctx.flags.price, swap.payment_token, client) : swap.price;
+    let expires = (ctx.flags.expires) ? expiration(ctx.flags.expires) : swap.expires;
+    let description = "Update swap " + id + ": " + await FormatPrice(price, swap.payment_token || null, client)
+      + ", expires " + (ctx.flags.expires || formatExpiration(expires));
+    let tx = await broadcast(ctx, description, (options) => Execute.Update(id, expires, price, client, options));
+    return { value: txOutput(tx) };
+  },
+
+  "admin update-config": async (ctx) => {
+    let client = await ctx.Signer();
+    let config = {};
+    if (ctx.flags.fees !== undefined) config.fees = Number(ctx.flags.fees);
+    if (ctx.flags.admin !== undefined) config.admin = ctx.flags.admin;
+    if (!Object.keys(config).length) throw new InvalidInputError("Missing --fees or --admin");
+    // The diff is printed with the simulation, and confirmed by the prompt of `broadcast`
+    let printDiff = (diff) => diff.forEach((change) => {
+      ctx.print(change.key + ": " + JSON.stringify(change.current) + " -> " + JSON.stringify(change.proposed));
+    });
+    let tx = await broadcast(ctx, "Update marketplace config", (options) => Admin.UpdateConfig(config, client, {
+      ...options,
+      confirm: (options.simulate) ? printDiff : () => true
+    }));
+    return { value: txOutput(tx) };
+  },
+
+  "admin add-nft": async (ctx, [cw721]) => {
+    let client = await ctx.Signer();
+    required(cw721, "<cw721>");
+    let tx = await broadcast(ctx, "Add collection " + cw721, (options) => Admin.AddNft(cw721, client, options));
+    return { value: txOutput(tx) };
+  },
+
+  "admin remove-nft": async (ctx, [cw721]) => {
+    let client = await ctx.Signer();
+    required(cw721, "<cw721>");
+    let tx = await broadcast(ctx, "Remove collection " + cw721, (options) => Admin.RemoveNft(cw721, client, options));
+    return { value: txOutput(tx) };
+  },
+
+  "admin withdraw": async (ctx, [amount]) => {
+    let client = await ctx.Signer();
+    let payment_token = ctx.flags.cw20 || null;
+    let value = await atomic(required(amount, "<amount>"), payment_token, client);
+    let description = "Withdraw " + await FormatPrice(value, payment_token, client);
+    let tx = await broadcast(ctx, description, (options) => Admin.Withdraw(value, payment_token, client, options));
+    return { value: txOutput(tx) };
+  },
+
+  "minter config": async (ctx) => ({ value: await minterConfig(await ctx.Reader()) }),
+
+  "minter mint": async (ctx) => {
+    let client = await ctx.Signer();
+    let config = await minterConfig(client);
+    let description = "Mint an NFT for " + await FormatPrice(config.price || 0, null, client);
+    return { value: txOutput(await minterTx(ctx, description, () => MinterExecute.Mint(config, client))) };
+  },
+
+  "minter reveal": async (ctx, [token_id]) => {
+    let client = await ctx.Signer();
+    required(token_id, "<token_id>");
+    return { value: txOutput(await minterTx(ctx, "Reveal token " + token_id, () => MinterExecute.Reveal(token_id, null, client))) };
+  },
+
+  "minter withdraw": async (ctx, [amount]) => {
+    let client = await ctx.Signer();
+    let value = await atomic(required(amount, "<amount>"), null, client);
+    let description = "Withdraw " + await FormatPrice(value, null, client) + " from the minter";
+    return { value: txOutput(await minterTx(ctx, description, () => MinterExecute.Withdraw(value, client))) };
+  },
+
+  "minter initialize": async (ctx) => {
+    let client = await ctx.Signer();
+    return { value: txOutput(await minterTx(ctx, "Initialize the minter", () => MinterExecute.Initialize(client))) };
+  },
+
+  "minter enable-reveal": async (ctx) => {
+    let client = await ctx.Signer();
+    return { value: txOutput(await minterTx(ctx, "Enable reveal", () => MinterExecute.EnableReveal(client))) };
+  },
+
+  "minter update-config": async (ctx) => {
+    let client = await ctx.Signer();
+    let changes = JSON.parse(required(ctx.flags.config, "--config"));
+    let current = await minterConfig(client);
+    let config = { ...current, ...changes };
+    let description = "Update minter config: " + JSON.stringify(changes);
+    return { value: txOutput(await minterTx(ctx, description, () => MinterExecute.UpdateConfig(config, client))) };
+  }
+};
+
+/**
+ * Run a `proj-nft` command
+ * @param {Array} argv : Command line arguments, without the node and script paths
+ * @param {Object} options? : (Optional) `{ client, print, error, confirm, readFile }`; `client` is used for queries and txs
+ * instead of connecting to the network (e.g. a `MockMarketplace` client), `print` and `error` write a line of output and of
+ * errors (default `console.log` and `console.error`), `confirm` answers the confirmation prompts, and `readFile` reads the `--key-file`
+ * @returns {Number} : The exit code
+ */
+async function Run(argv, options = {}) {
+  let print = options.print || ((text) => console.log(text));
+  let error = options.error || options.print || ((text) => console.error(text));
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    error(e.message + "\n\n" + USAGE);
+    return 2;
+  }
+  let flags = parsed.values;
+  let positionals = parsed.positionals;
+  // Commands are one or two words, e.g. "config" or "swaps list"
+  let name = [positionals.slice(0, 2).join(" "), positionals[0]].find((candidate) => Commands[candidate]);
+  if (flags.help || !name) {
+    ((flags.help) ? print : error)(USAGE);
+    return (flags.help) ? 0 : 2;
+  }
+  let args = positionals.slice(name.split(" ").length);
+
+  try {
+    // Tx descriptions and fees are written with the errors, so `--json` output stays parseable
+    let ctx = Context(flags, { ...options, print: error });
+    let result = await Commands[name](ctx, args);
+    if (flags.json || !result.rows) {
+      print((flags.json || typeof result.value == "object") ? JSON.stringify(result.value, null, 2) : String(result.value));
+    } else {
+      print(Table(result.rows));
+    }
+    return 0;
+  } catch (e) {
+    error("Error" + (e.code ? " [" + e.code + "]" : "") + ": " + e.message);
+    return 1;
+  }
+}
+
+export { Commands, Table, Run }
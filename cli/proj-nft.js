@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { Run } from './commands.js';
+
+// `proj-nft --help` lists the commands
+Run(process.argv.slice(2)).then((code) => { process.exitCode = code; });
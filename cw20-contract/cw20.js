@@ -0,0 +1,158 @@
+import { Client } from '../util/client.js';
+
+// Queries
+
+/**
+ * Get the name, symbol, decimals and supply of a cw20 token
+ * @param {String} cw20 : Contract address of the cw20 token
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns the token info of the cw20
+ *
+ * Example Return:
+ * {
+ *    "name": "Wrapped Archway",
+ *    "symbol": "WARCH",
+ *    "decimals": 18,
+ *    "total_supply": "1000000000000000000000"
+ * }
+ */
+async function TokenInfo(cw20, client = null) {
+  if (!client) client = await Client();
+  try {
+    let entrypoint = {
+      token_info: {}
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw20,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * Get the amount of cw20 tokens an owner has allowed a spender (e.g. the marketplace contract) to spend
+ * @param {String} cw20 : Contract address of the cw20 token
+ * @param {String} owner : Wallet address of the token owner
+ * @param {String} spender : Address of the spender
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns the allowance and its expiration
+ *
+ * Example Return:
+ * {
+ *    "allowance": "1000000000000000000",
+ *    "expires": { "never": {} }
+ * }
+ */
+async function Allowance(cw20, owner, spender, client = null) {
+  if (!client) client = await Client();
+  try {
+    let entrypoint = {
+      allowance: {
+        owner: owner,
+        spender: spender
+      }
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw20,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * Get the cw20 token balance of an address
+ * @param {String} cw20 : Contract address of the cw20 token
+ * @param {String} address : Wallet address
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns the balance, in the cw20's atomic units
+ *
+ * Example Return:
+ * {
+ *    "balance": "1000000000000000000"
+ * }
+ */
+async function Balance(cw20, address, client = null) {
+  if (!client) client = await Client();
+  try {
+    let entrypoint = {
+      balance: {
+        address: address
+      }
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw20,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+// Txs
+
+/**
+ * Allow a spender (e.g. the marketplace contract) to spend an additional amount of the caller's cw20 tokens
+ * @param {String} cw20 : Contract address of the cw20 token
+ * @param {String} spender : Address of the spender
+ * @param {Number|String} amount : Amount to add to the current allowance, in the cw20's atomic units
+ * @param {Object} expires? : (Optional) cw `Expiration` of the allowance; `null` never expires
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ */
+async function IncreaseAllowance(cw20, spender, amount, expires = null, client = null) {
+  if (!client) client = await Client();
+
+  try {
+    // Msg.
+    let entrypoint = {
+      increase_allowance: {
+        spender: spender,
+        amount: String(amount),
+        expires: expires
+      }
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      cw20,
+      entrypoint,
+      client.fees,
+      "Increase allowance"
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+const Query = {
+  TokenInfo,
+  Allowance,
+  Balance
+};
+
+const Execute = {
+  IncreaseAllowance,
+};
+
+// Export
+export { Query, Execute }
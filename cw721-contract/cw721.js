@@ -0,0 +1,592 @@
+import { toBase64, toUtf8 } from "@cosmjs/encoding";
+import { Client } from '../util/client.js';
+import { ContractAddress } from "../util/networks.js";
+
+let IPFS_GATEWAY = process.env.VUE_APP_IPFS_GATEWAY || "https://ipfs.io/ipfs/";
+
+/**
+ * @typedef {Object} Nft
+ * @property {String} token_id : ID of the token (only present when the query was made for a specific `token_id`)
+ * @property {String|null} token_uri : Off-chain metadata URI; `null` for on-chain metadata like Archies
+ * @property {String|null} image : The metadata image, resolved through the configured IPFS gateway
+ * @property {Object} extension : On-chain metadata, with `attributes` converted to a trait map
+ * @property {String} extension.name : e.g. "Archie #4"
+ * @property {String} extension.description : e.g. "Archies test collection"
+ * @property {String} extension.image : Original image URI (e.g. "ipfs://__CID__/4.png")
+ * @property {Object} extension.attributes : Trait map, e.g. `{ "Background": "Orange", "Body": "Archie Blue" }`
+ */
+
+// Metadata
+
+/**
+ * Set the gateway used to resolve `ipfs://` URIs
+ * @param {String} gateway : Gateway base url (e.g. "https://ipfs.io/ipfs/")
+ */
+function SetIpfsGateway(gateway) {
+  IPFS_GATEWAY = (gateway.endsWith('/')) ? gateway : gateway + '/';
+}
+
+/**
+ * Resolve an `ipfs://` URI to an http(s) url; other URIs are returned unchanged
+ * @param {String} uri : A URI such as "ipfs://__CID__/4.png"
+ * @param {String} gateway? : (Optional) Gateway base url; defaults to the configured gateway
+ * @returns {String} : e.g. "https://ipfs.io/ipfs/__CID__/4.png"
+ */
+function ResolveIpfs(uri, gateway = null) {
+  if (!uri || !uri.startsWith('ipfs://')) return uri;
+  if (!gateway) gateway = IPFS_GATEWAY;
+  return gateway + uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+}
+
+/**
+ * Parse a raw `NftInfo` response into an `Nft`
+ * @param {Object} info : Raw `NftInfo` response of the cw721
+ * @param {String} token_id? : (Optional) ID of the token `info` belongs to
+ * @returns {Nft}
+ */
+function ParseNft(info, token_id = null) {
+  let extension = Object.assign({}, info.extension);
+  let attributes = {};
+  if (Array.isArray(extension.attributes)) {
+    extension.attributes.forEach((attribute) => {
+      attributes[attribute.trait_type] = attribute.value;
+    });
+  }
+  extension.attributes = attributes;
+
+  let nft = {
+    token_uri: info.token_uri || null,
+    image: ResolveIpfs(extension.image) || null,
+    extension: extension
+  };
+  if (token_id) nft.token_id = token_id;
+  return nft;
+}
+
+// Queries
+
+/**
+ * Get the owner of a token
+ * @param {String} token_id : ID of the token
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns the owner and approvals of the token
+ *
+ * Example Return:
+ * {
+ *    "owner": "archway1f395p0gg67mmfd5zcqvpnp9cxnu0hg6r9hfczq",
+ *    "approvals": [
+ *        {
+ *            "spender": "archway1...",   // e.g. the marketplace contract
+ *            "expires": { "never": {} }
+ *        }
+ *    ]
+ * }
+ */
+async function OwnerOf(token_id, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      owner_of: {
+        token_id: token_id,
+        include_expired: false
+      }
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * Get the metadata of a token
+ * @param {String} token_id : ID of the token
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {Nft} : Returns the parsed metadata of the token
+ *
+ * Example Return:
+ * {
+ *    "token_id": "4",
+ *    "token_uri": null,
+ *    "image": "https://ipfs.io/ipfs/__CID__/4.png",
+ *    "extension": {
+ *        "description": "Archies test collection",
+ *        "image": "ipfs://__CID__/4.png",
+ *        "name": "Archie #4",
+ *        "attributes": {
+ *            "Accessory": "None",
+ *            "Background": "Orange",
+ *            "Body": "Archie Blue",
+ *            "Clothes": "Yellow Puffer",
+ *            "Head": "Earflap",
+ *            "Mouth": "Smile"
+ *        }
+ *    }
+ * }
+ */
+async function NftInfo(token_id, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      nft_info: {
+        token_id: token_id
+      }
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return ParseNft(query, token_id);
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * Get the owner, approvals and metadata of a token
+ * @param {String} token_id : ID of the token
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns an object with `access` (see `OwnerOf`) and `info` (an `Nft`, see `NftInfo`)
+ *
+ * Example Return:
+ * {
+ *    "access": {
+ *        "owner": "archway1f395p0gg67mmfd5zcqvpnp9cxnu0hg6r9hfczq",
+ *        "approvals": []
+ *    },
+ *    "info": { ... }   // See `NftInfo`
+ * }
+ */
+async function AllNftInfo(token_id, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      all_nft_info: {
+        token_id: token_id,
+        include_expired: false
+      }
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return {
+      access: query.access,
+      info: ParseNft(query.info, token_id)
+    };
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * List the tokens owned by a wallet address (paginated)
+ * @param {String} owner : Wallet address of the token owner
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {String} start? : (Optional) Start paginated request after this token id. Default null
+ * @param {Number} limit? : (Optional) Amount of tokens per paginated request. Default limit 10, maximum limit 100
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns an object with an attribute called "tokens", that is an array of token ids
+ *
+ * Example Return:
+ * {
+ *   "tokens": ["1", "12", "4"]
+ * }
+ */
+async function Tokens(owner, cw721 = null, start = null, limit = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      tokens: {
+        owner: owner
+      }
+    };
+    if (start) entrypoint.tokens.start_after = start;
+    if (limit) entrypoint.tokens.limit = limit;
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * List all tokens of the collection (paginated)
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {String} start? : (Optional) Start paginated request after this token id. Default null
+ * @param {Number} limit? : (Optional) Amount of tokens per paginated request. Default limit 10, maximum limit 100
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns an object with an attribute called "tokens", that is an array of token ids
+ *
+ * Example Return:
+ * {
+ *   "tokens": ["1", "10", "11", "12", "2"]
+ * }
+ */
+async function AllTokens(cw721 = null, start = null, limit = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      all_tokens: {}
+    };
+    if (start) entrypoint.all_tokens.start_after = start;
+    if (limit) entrypoint.all_tokens.limit = limit;
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * Count the total number of tokens minted in the collection
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns an object with an attribute called "count"
+ *
+ * Example Return: `{ "count": 258 }`
+ */
+async function NumTokens(cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      num_tokens: {}
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * Get the name and symbol of the collection
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns the collection's contract info
+ *
+ * Example Return: `{ "name": "Archies", "symbol": "ARCHIES" }`
+ */
+async function ContractInfo(cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      contract_info: {}
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+/**
+ * Get the approval of a specific spender (operator) for a token
+ * Requesting a non-existent (or expired) approval returns an error.
+ * @param {String} token_id : ID of the token
+ * @param {String} spender : Address of the approved operator (e.g. the marketplace contract)
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns an object with an attribute called "approval"
+ *
+ * Example Return:
+ * {
+ *    "approval": {
+ *        "spender": "archway1...",
+ *        "expires": { "never": {} }
+ *    }
+ * }
+ */
+async function Approval(token_id, spender, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      approval: {
+        token_id: token_id,
+        spender: spender,
+        include_expired: false
+      }
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    return { error: e };
+  }
+}
+
+/**
+ * Get all approvals for a token
+ * @param {String} token_id : ID of the token
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns an object with an attribute called "approvals", that is an array of approvals
+ *
+ * Example Return:
+ * {
+ *    "approvals": [
+ *        {
+ *            "spender": "archway1...",
+ *            "expires": { "at_time": "1785271356000000000" }
+ *        }
+ *    ]
+ * }
+ */
+async function Approvals(token_id, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  try {
+    let entrypoint = {
+      approvals: {
+        token_id: token_id,
+        include_expired: false
+      }
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      cw721,
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+// Txs
+
+/**
+ * Approve an operator (e.g. the marketplace contract) to transfer a token; caller must be token owner
+ * @param {String} token_id : ID of the token
+ * @param {String} spender : Address of the operator to be approved
+ * @param {Object} expires? : (Optional) cw `Expiration` of the approval; `null` never expires
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ */
+async function Approve(token_id, spender, expires = null, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+
+  try {
+    // Msg.
+    let entrypoint = {
+      approve: {
+        spender: spender,
+        token_id: token_id,
+        expires: expires
+      }
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      cw721,
+      entrypoint,
+      client.fees,
+      "Approve " + token_id
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+/**
+ * Revoke the approval of an operator for a token; caller must be token owner
+ * @param {String} token_id : ID of the token
+ * @param {String} spender : Address of the operator whose approval is revoked
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ */
+async function Revoke(token_id, spender, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+
+  try {
+    // Msg.
+    let entrypoint = {
+      revoke: {
+        spender: spender,
+        token_id: token_id
+      }
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      cw721,
+      entrypoint,
+      client.fees,
+      "Revoke approval of " + token_id
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+/**
+ * Transfer a token to another wallet address; caller must be token owner or an approved operator
+ * @param {String} token_id : ID of the token
+ * @param {String} recipient : Wallet address receiving the token
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ */
+async function TransferNft(token_id, recipient, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+
+  try {
+    // Msg.
+    let entrypoint = {
+      transfer_nft: {
+        recipient: recipient,
+        token_id: token_id
+      }
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      cw721,
+      entrypoint,
+      client.fees,
+      "Transfer " + token_id
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+/**
+ * Send a token to a contract, triggering the contract's `ReceiveNft` entry point; caller must be token owner or an approved operator
+ * @param {String} token_id : ID of the token
+ * @param {String} contract : Address of the receiving contract
+ * @param {Object} msg : Msg to be passed to the receiving contract; it will be JSON and base64 encoded
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ */
+async function SendNft(token_id, contract, msg = {}, cw721 = null, client = null) {
+  if (!client) client = await Client();
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+
+  try {
+    // Msg.
+    let entrypoint = {
+      send_nft: {
+        contract: contract,
+        token_id: token_id,
+        msg: toBase64(toUtf8(JSON.stringify(msg)))
+      }
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      cw721,
+      entrypoint,
+      client.fees,
+      "Send " + token_id
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+const Query = {
+  OwnerOf,
+  NftInfo,
+  AllNftInfo,
+  Tokens,
+  AllTokens,
+  NumTokens,
+  ContractInfo,
+  Approval,
+  Approvals
+};
+
+const Execute = {
+  Approve,
+  Revoke,
+  TransferNft,
+  SendNft,
+};
+
+const Metadata = {
+  ParseNft,
+  ResolveIpfs,
+  SetIpfsGateway
+};
+
+// Export
+export { Query, Execute, Metadata }
@@ -0,0 +1,297 @@
+import { fromBase64, fromUtf8 } from "@cosmjs/encoding";
+import { Client } from '../util/client.js';
+import { ContractAddress } from "../util/networks.js";
+
+/**
+ * Types of the swap events emitted by `Subscribe`
+ */
+const EventTypes = {
+  CREATED: "SwapCreated",
+  FINISHED: "SwapFinished",
+  CANCELLED: "SwapCancelled",
+  UPDATED: "SwapUpdated"
+};
+
+// `action` attributes of the marketplace's wasm events
+const Actions = [
+  [/^create/, EventTypes.CREATED],
+  [/^finish/, EventTypes.FINISHED],
+  [/^cancel/, EventTypes.CANCELLED],
+  [/^update/, EventTypes.UPDATED]
+];
+
+// Results per `tx_search` page
+const PER_PAGE = 100;
+
+/**
+ * @typedef {Object} SwapEvent
+ * @property {String} type : One of `EventTypes`
+ * @property {String} id : ID of the swap
+ * @property {Number} height : Block height of the tx
+ * @property {String} hash : Hash of the tx
+ * @property {Object} attributes : All attributes of the wasm event, e.g. `{ action, id, token_id, price }`
+ * @property {Boolean} backfill : `true` if the event was missed while disconnected and found by `tx_search`
+ */
+
+/**
+ * Get the websocket endpoint of a Tendermint RPC url
+ * @param {String} rpc : RPC url, e.g. "https://rpc.mainnet.archway.io"
+ * @returns {String} : e.g. "wss://rpc.mainnet.archway.io/websocket"
+ */
+function WebsocketUrl(rpc) {
+  return rpc.replace(/^http/, "ws").replace(/\/+$/, "") + "/websocket";
+}
+
+function decodeAttributes(event) {
+  let attributes = {};
+  // Tendermint < 0.37 base64 encodes event attributes
+  let encoded = !event.attributes.some((attribute) => attribute.key == "_contract_address");
+  event.attributes.forEach((attribute) => {
+    let key = attribute.key, value = attribute.value || "";
+    if (encoded) {
+      try {
+        key = fromUtf8(fromBase64(key));
+        value = fromUtf8(fromBase64(value));
+      } catch (e) {
+        // Not base64; keep the raw attribute
+      }
+    }
+    attributes[key] = value;
+  });
+  return attributes;
+}
+
+/**
+ * Decode the marketplace's swap events of a tx
+ * @param {Array} events : Events of a tx result, i.e. `[{ type, attributes: [{ key, value }] }]`
+ * @param {String} marketplace : Contract address of the marketplace
+ * @param {Object} tx? : (Optional) `{ height, hash, backfill }` of the tx, added to each event
+ * @returns {Array<SwapEvent>}
+ */
+function DecodeEvents(events, marketplace, tx = {}) {
+  let decoded = [];
+  (events || []).forEach((event) => {
+    if (event.type !== "wasm") return;
+    let attributes = decodeAttributes(event);
+    if (attributes._contract_address !== marketplace) return;
+    let action = Actions.find(([pattern]) => pattern.test(attributes.action || ""));
+    if (!action) return;
+    decoded.push({
+      type: action[1],
+      id: attributes.id || attributes.swap_id || null,
+      height: Number(tx.height),
+      hash: tx.hash || null,
+      attributes: attributes,
+      backfill: !!tx.backfill
+    });
+  });
+  return decoded;
+}
+
+/**
+ * Subscribe to the marketplace's swap events, over the websocket of the client network's RPC.
+ * Listeners are called with a `SwapEvent` for each `create`, `finish`, `cancel` and `update` tx of the marketplace:
+ *
+ *    const events = Subscribe(client, { WebSocket });
+ *    events.On(EventTypes.CREATED, (event) => index.Refresh(event.id));
+ *    events.On("*", (event) => console.log(event.type, event.id));
+ *    await events.Start();
+ *
+ * When the connection drops it's reopened, with an exponential backoff. Txs that were missed while disconnected
+ * are found with `tx_search` (from the height of the last event, or else of the first connection) and emitted, in block
+ * order, before live events
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing (or query) client
+ * @param {Object} options? : (Optional) `{ url, WebSocket, fromHeight, delay, maxDelay }`; `url` defaults to the websocket
+ * of the network's RPC, `WebSocket` is a WebSocket implementation (defaults to the browser's; in Node.js pass e.g. the
+ * `ws` package), `fromHeight` backfills events from a block height on the first connection, and `delay` / `maxDelay`
+ * are the min. and max. milliseconds between reconnection attempts (default 1000 / 30000)
+ * @returns {Object} : `{ On, Off, Start, Stop, Height }`
+ */
+function Subscribe(client = null, options = {}) {
+  const WebSocketImpl = options.WebSocket || globalThis.WebSocket;
+  const minDelay = options.delay || 1000;
+  const maxDelay = options.maxDelay || 30000;
+
+  // Listeners by event type; "*" receives all swap events, "error" connection and decoding errors
+  const listeners = {};
+  // Hashes of emitted txs by height, to skip txs found by both `tx_search` and the subscription
+  const seen = new Map();
+  // Requests awaiting a response, by JSON-RPC id
+  const pending = new Map();
+
+  let marketplace = null;
+  let url = options.url || null;
+  let socket = null;
+  let stopped = true;
+  let attempt = 0;
+  let timer = null;
+  let requestId = 0;
+  let subscriptionId = null;
+  let height = (options.fromHeight) ? Number(options.fromHeight) : null;
+  // Live events received during a backfill, emitted after it
+  let buffer = null;
+
+  function emit(type, payload) {
+    (listeners[type] || []).forEach((listener) => listener(payload));
+    if (type !== "error") (listeners["*"] || []).forEach((listener) => listener(payload));
+  }
+
+  function handleTx(events, tx) {
+    if (seen.has(tx.hash)) return;
+    seen.set(tx.hash, tx.height);
+    if (height === null || tx.height > height) {
+      height = tx.height;
+      // Only txs at the last height can be found again by a backfill
+      for (const [hash, at] of seen) if (at < height) seen.delete(hash);
+    }
+    DecodeEvents(events, marketplace, tx).forEach((event) => emit(event.type, event));
+  }
+
+  function request(method, params) {
+    let id = ++requestId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      socket.send(JSON.stringify({ jsonrpc: "2.0", id: id, method: method, params: params }));
+    });
+  }
+
+  function onMessage(message) {
+    let response;
+    try {
+      response = JSON.parse((typeof message.data == "string") ? message.data : String(message.data));
+    } catch (e) {
+      return emit("error", e);
+    }
+    // Subscription events
+    if (response.id === subscriptionId && response.result && response.result.data) {
+      let value = response.result.data.value || {};
+      let result = value.TxResult || {};
+      let hashes = (response.result.events || {})["tx.hash"] || [];
+      let tx = { height: Number(result.height), hash: hashes[0] || null, backfill: false };
+      let events = (result.result || {}).events;
+      if (buffer) buffer.push([events, tx]);
+      else handleTx(events, tx);
+      return;
+    }
+    // Request responses
+    let request = pending.get(response.id);
+    if (!request) return;
+    pending.delete(response.id);
+    if (response.error) request.reject(new Error(response.error.message + (response.error.data ? ": " + response.error.data : "")));
+    else request.resolve(response.result);
+  }
+
+  async function backfill(query) {
+    let found = [];
+    let page = 1;
+    while (true) {
+      let result = await request("tx_search", {
+        query: query + " AND tx.height>=" + height,
+        prove: false,
+        page: String(page),
+        per_page: String(PER_PAGE),
+        order_by: "asc"
+      });
+      found.push(...(result.txs || []));
+      if (found.length >= Number(result.total_count) || !(result.txs || []).length) break;
+      page += 1;
+    }
+    found.forEach((tx) => {
+      handleTx(tx.tx_result.events, { height: Number(tx.height), hash: tx.hash, backfill: true });
+    });
+  }
+
+  async function onOpen() {
+    attempt = 0;
+    let query = "tm.event='Tx' AND wasm._contract_address='" + marketplace + "'";
+    buffer = [];
+    try {
+      subscriptionId = requestId + 1;
+      await request("subscribe", { query: query });
+      // On the first connection, backfill from the current height, so txs missed before any event aren't lost
+      if (height === null) height = await client.wasmClient.getHeight();
+      else await backfill("wasm._contract_address='" + marketplace + "'");
+    } catch (e) {
+      // Reconnect, and try again
+      emit("error", e);
+      if (socket) socket.close();
+    }
+    let live = buffer;
+    buffer = null;
+    live.forEach(([events, tx]) => handleTx(events, tx));
+  }
+
+  function onClose() {
+    pending.forEach((request) => request.reject(new Error("Websocket closed")));
+    pending.clear();
+    socket = null;
+    if (stopped) return;
+    let delay = Math.min(minDelay * Math.pow(2, attempt), maxDelay);
+    attempt += 1;
+    timer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    timer = null;
+    socket = new WebSocketImpl(url);
+    socket.onopen = onOpen;
+    socket.onmessage = onMessage;
+    socket.onerror = (e) => emit("error", e.error || e);
+    socket.onclose = onClose;
+  }
+
+  /**
+   * Add a listener
+   * @param {String} type : One of `EventTypes`, "*" for all swap events, or "error"
+   * @param {Function} listener : Called with a `SwapEvent` (or an `Error`)
+   */
+  function On(type, listener) {
+    if (!listeners[type]) listeners[type] = [];
+    listeners[type].push(listener);
+  }
+
+  /**
+   * Remove a listener
+   * @param {String} type : Event type the listener was added for
+   * @param {Function} listener : The listener
+   */
+  function Off(type, listener) {
+    listeners[type] = (listeners[type] || []).filter((l) => l !== listener);
+  }
+
+  /**
+   * Open the websocket and subscribe
+   */
+  async function Start() {
+    if (!stopped) return;
+    if (!WebSocketImpl) throw new Error("No WebSocket implementation; pass one as `options.WebSocket`");
+    if (!client) client = await Client();
+    marketplace = ContractAddress(client, 'marketplace');
+    if (!url) url = WebsocketUrl(client.network.rpc);
+    stopped = false;
+    connect();
+  }
+
+  /**
+   * Close the websocket; no reconnection is attempted
+   */
+  function Stop() {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (socket) socket.close();
+  }
+
+  /**
+   * @returns {Number|null} : Returns the block height of the last event (or of the first connection), the height a
+   * backfill continues from
+   */
+  function Height() {
+    return height;
+  }
+
+  return { On, Off, Start, Stop, Height };
+}
+
+// Export
+export { EventTypes, DecodeEvents, WebsocketUrl, Subscribe }
@@ -0,0 +1,272 @@
+/* global BigInt */
+import { decodeTxRaw } from "@cosmjs/proto-signing";
+import { fromUtf8 } from "@cosmjs/encoding";
+import { MsgExecuteContract } from "cosmjs-types/cosmwasm/wasm/v1/tx.js";
+import { Client } from '../util/client.js';
+import { ContractAddress } from "../util/networks.js";
+import { ParseDuration } from "../util/time.js";
+import { ErrorMode } from "../util/errors.js";
+import { Query } from "./marketplace.js";
+
+const SALE = "Sale";
+
+const EXECUTE_TYPE_URL = "/cosmwasm.wasm.v1.MsgExecuteContract";
+
+// Block times by "chain_id:height"; blocks never change
+const blockTimes = new Map();
+
+/**
+ * @typedef {Object} Trade
+ * @property {String} id : ID of the consumed swap
+ * @property {String} cw721 : Contract address of the collection
+ * @property {String} token_id : ID of the traded token
+ * @property {String} price : Settled price, in aarch precision (or in the cw20's atomic units)
+ * @property {String|null} payment_token : Contract address of the cw20 paid with, or `null` for native ARCH
+ * @property {String} swap_type : 'Sale' or 'Offer'
+ * @property {String|null} buyer : Receiver of the NFT
+ * @property {String|null} seller : Receiver of the payment
+ * @property {Number} height : Block height of the tx
+ * @property {Date|null} timestamp : Block time of the tx
+ * @property {String} hash : Hash of the tx
+ */
+
+function attributesOf(event) {
+  let attributes = {};
+  event.attributes.forEach((attribute) => attributes[attribute.key] = attribute.value);
+  return attributes;
+}
+
+// Events of the msg at `index`, on chains that tag each event with its `msg_index` (Cosmos SDK 0.50); else `null`
+function msgEvents(events, index) {
+  let tagged = events.some((event) => event.attributes.some((attribute) => attribute.key == "msg_index"));
+  if (!tagged) return null;
+  return events.filter((event) => event.attributes.some((attribute) => attribute.key == "msg_index" && attribute.value == String(index)));
+}
+
+// Amount paid to the seller of a trade: its price, less the marketplace fee
+function payout(trade, fees) {
+  let price = BigInt(trade.price);
+  return price - price * BigInt(Math.round(fees * 10000)) / BigInt(10000);
+}
+
+// The single recipient of some transfers, or `null` if there's none or several
+function recipientOf(transfers) {
+  let recipients = [...new Set(transfers.map((transfer) => transfer.to || transfer.recipient))];
+  return (recipients.length == 1) ? recipients[0] : null;
+}
+
+// Find the party of a trade that isn't the tx sender, from the events of its msg. With `shared`, the events are of
+// all trades of the tx, so a payment only belongs to the trade if its amount is the trade's payout (see `fees`)
+function counterparty(events, trade, marketplace, shared = false, fees = null) {
+  let wasm = events.filter((event) => event.type == "wasm").map(attributesOf);
+  // The marketplace's own attributes, if it emits them
+  let own = wasm.find((attributes) => attributes._contract_address == marketplace && attributes.id == trade.id) || {};
+  if (trade.swap_type == SALE) {
+    if (own.seller || own.creator) return own.seller || own.creator;
+    if (shared && (fees === null || fees === undefined)) return null;
+    let amount = (shared) ? String(payout(trade, fees)) : null;
+    // Receiver of the payment
+    if (trade.payment_token) {
+      let transfers = wasm.filter((attributes) => attributes._contract_address == trade.payment_token
+        && [attributes.to, attributes.recipient].some((to) => to && to !== marketplace && to !== trade.buyer))
+        .filter((attributes) => !amount || attributes.amount == amount);
+      return recipientOf(transfers);
+    }
+    let transfers = events
+      .filter((event) => event.type == "transfer")
+      .map(attributesOf)
+      .filter((attributes) => attributes.sender == marketplace && attributes.recipient !== trade.buyer)
+      .filter((attributes) => !amount || (attributes.amount || "").split(",").some((coin) => (/^\d+/.exec(coin) || [])[0] == amount));
+    return recipientOf(transfers);
+  }
+  if (own.buyer || own.creator) return own.buyer || own.creator;
+  // Receiver of the NFT
+  let transfers = wasm.filter((attributes) => attributes._contract_address == trade.cw721
+    && attributes.token_id == trade.token_id && attributes.recipient);
+  return recipientOf(transfers);
+}
+
+/**
+ * Decode the trades (marketplace `finish` executions) of a tx. The buyer or seller that isn't the tx sender is read
+ * from the events of the trade's msg; in txs with several trades, on chains whose events aren't tagged with a `msg_index`,
+ * payments are matched to trades by their amount (the price, less the marketplace `fees`), and ambiguous ones are `null`
+ * @param {IndexedTx} tx : A tx found by `searchTx` (see `@cosmjs/stargate`)
+ * @param {String} marketplace : Contract address of the marketplace
+ * @param {Number} fees? : (Optional) Fee percentage of the marketplace (see `Config`), e.g. 0.1
+ * @returns {Array<Trade>} : Returns the tx's trades, without `timestamp`; failed txs have no trades
+ */
+function DecodeTrades(tx, marketplace, fees = null) {
+  if (tx.code !== 0) return [];
+  let finishes = [];
+  decodeTxRaw(tx.tx).body.messages.forEach((message, index) => {
+    if (message.typeUrl !== EXECUTE_TYPE_URL) return;
+    let execute = MsgExecuteContract.decode(message.value);
+    if (execute.contract !== marketplace) return;
+    let msg = JSON.parse(fromUtf8(execute.msg));
+    if (msg.finish) finishes.push({ index: index, sender: execute.sender, swap: msg.finish });
+  });
+  return finishes.map(({ index, sender, swap }) => {
+    let trade = {
+      id: swap.id,
+      cw721: swap.cw721 || null,
+      token_id: swap.token_id,
+      price: String(swap.price),
+      payment_token: swap.payment_token || null,
+      swap_type: swap.swap_type,
+      buyer: null,
+      seller: null,
+      height: tx.height,
+      timestamp: null,
+      hash: tx.hash
+    };
+    let scoped = msgEvents(tx.events, index);
+    let events = scoped || tx.events;
+    // Swaps finished without a `cw721` (e.g. of a single collection marketplace); find the collection by its transfer
+    if (!trade.cw721) {
+      let transfer = events.filter((event) => event.type == "wasm").map(attributesOf)
+        .find((attributes) => attributes.action == "transfer_nft" && attributes.token_id == trade.token_id);
+      if (transfer) trade.cw721 = transfer._contract_address;
+    }
+    // The tx sender pays for 'Sale' swaps, and is paid for 'Offer' swaps
+    if (trade.swap_type == SALE) trade.buyer = sender;
+    else trade.seller = sender;
+    let other = counterparty(events, trade, marketplace, !scoped && finishes.length > 1, fees);
+    if (trade.swap_type == SALE) trade.seller = other;
+    else trade.buyer = other;
+    return trade;
+  });
+}
+
+/**
+ * Search past txs for the trades of the marketplace (i.e. swaps consumed by `FinishNative` or `FinishCw20`)
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing (or query) client
+ * @param {Object} options? : (Optional) `{ fromHeight, toHeight, cw721, timestamps, fees }`; `fromHeight` and `toHeight` limit the
+ * searched blocks, `cw721` keeps the trades of a collection, `timestamps` loads the block time of each trade (default true), and
+ * `fees` is the marketplace fee percentage used to match payments to trades (see `DecodeTrades`; defaults to `Config().fees`)
+ * @returns {Array<Trade>} : Returns the trades, oldest first
+ */
+async function Trades(client = null, options = {}) {
+  if (!client) client = await Client();
+  let marketplace = ContractAddress(client, 'marketplace');
+
+  let query = "execute._contract_address='" + marketplace + "'";
+  if (options.fromHeight) query += " AND tx.height>=" + options.fromHeight;
+  if (options.toHeight) query += " AND tx.height<=" + options.toHeight;
+  let txs = await client.wasmClient.searchTx(query);
+  txs.sort((a, b) => (a.height - b.height) || (a.txIndex - b.txIndex));
+
+  let fees = (options.fees !== undefined) ? options.fees : null;
+  if (fees === null && txs.length) fees = (await Query.Config(client, { errors: ErrorMode.THROW })).fees;
+
+  let trades = [];
+  txs.forEach((tx) => trades.push(...DecodeTrades(tx, marketplace, fees)));
+  if (options.cw721) trades = trades.filter((trade) => trade.cw721 == options.cw721);
+
+  if (options.timestamps !== false) {
+    for (const trade of trades) {
+      let key = client.chainInfo.chainId + ":" + trade.height;
+      if (!blockTimes.has(key)) {
+        let block = await client.wasmClient.getBlock(trade.height);
+        blockTimes.set(key, new Date(block.header.time));
+      }
+      trade.timestamp = blockTimes.get(key);
+    }
+  }
+  return trades;
+}
+
+/**
+ * Keep the trades of a time window
+ * @param {Array<Trade>} trades : Trades with a `timestamp`
+ * @param {Date|String|Number} since : Start of the window; a JS Date, milliseconds since epoch, or a duration before
+ * `until` (e.g. "24h", "7d")
+ * @param {Date|Number} until? : (Optional) End of the window. Default now
+ * @returns {Array<Trade>}
+ * @throws {Error} : If a trade has no `timestamp`, e.g. of `Trades` loaded with `{ timestamps: false }`
+ */
+function Window(trades, since, until = Date.now()) {
+  let end = (until instanceof Date) ? until.getTime() : Number(until);
+  let start = (since instanceof Date) ? since.getTime() : (typeof since == "string") ? end - ParseDuration(since) : Number(since);
+  return trades.filter((trade) => {
+    if (!(trade.timestamp instanceof Date)) {
+      throw new Error("Trade " + trade.id + " has no timestamp; load trades with `{ timestamps: true }`");
+    }
+    let time = trade.timestamp.getTime();
+    return time >= start && time <= end;
+  });
+}
+
+/**
+ * Get the sales stats of each collection. Prices of different denoms can't be added up, so stats are
+ * kept per payment token: native ARCH under "native", cw20s under their contract address
+ * @param {Array<Trade>} trades : Trades, e.g. of a time `Window`
+ * @returns {Object} : Returns `{ [cw721]: { [payment_token]: { count, volume, floor, average, last } } }`;
+ * `floor` is the lowest and `last` the most recent sale price
+ *
+ * Example Return:
+ * {
+ *    "archway1cf5rq0amcl5m2flqrtl4gw2mdl3zdec9vlp5hfa9hgxlwnmrlazsdycu4l": {
+ *        "native": {
+ *            "count": 3,
+ *            "volume": "4500000000000000000",
+ *            "floor": "1000000000000000000",
+ *            "average": "1500000000000000000",
+ *            "last": "2000000000000000000"
+ *        }
+ *    }
+ * }
+ */
+function CollectionStats(trades) {
+  let stats = {};
+  trades.forEach((trade) => {
+    let denom = trade.payment_token || "native";
+    if (!stats[trade.cw721]) stats[trade.cw721] = {};
+    let collection = stats[trade.cw721];
+    if (!collection[denom]) collection[denom] = { count: 0, volume: BigInt(0), floor: null, last: null, height: -1 };
+    let entry = collection[denom];
+    let price = BigInt(trade.price);
+    entry.count += 1;
+    entry.volume += price;
+    if (entry.floor === null || price < entry.floor) entry.floor = price;
+    if (trade.height >= entry.height) {
+      entry.last = price;
+      entry.height = trade.height;
+    }
+  });
+  Object.values(stats).forEach((collection) => {
+    Object.keys(collection).forEach((denom) => {
+      let entry = collection[denom];
+      collection[denom] = {
+        count: entry.count,
+        volume: String(entry.volume),
+        floor: String(entry.floor),
+        average: String(entry.volume / BigInt(entry.count)),
+        last: String(entry.last)
+      };
+    });
+  });
+  return stats;
+}
+
+/**
+ * Get the most recent trade of each token
+ * @param {Array<Trade>} trades : Trades
+ * @returns {Object} : Returns `{ ["cw721:token_id"]: Trade }`
+ */
+function LastSales(trades) {
+  let last = {};
+  trades.forEach((trade) => {
+    let key = trade.cw721 + ":" + trade.token_id;
+    if (!last[key] || trade.height >= last[key].height) last[key] = trade;
+  });
+  return last;
+}
+
+const Analytics = {
+  Window,
+  CollectionStats,
+  LastSales
+};
+
+// Export
+export { Trades, DecodeTrades, Analytics }
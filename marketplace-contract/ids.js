@@ -0,0 +1,251 @@
+import { toHex, toUtf8 } from "@cosmjs/encoding";
+import { Client } from '../util/client.js';
+import { ContractAddress } from "../util/networks.js";
+import { ErrorMode, SwapNotFoundError, InvalidInputError, MarketplaceError, Ok, Fail } from '../util/errors.js';
+import { Query } from './marketplace.js';
+import { Iterate } from './iterators.js';
+
+const THROW = { errors: ErrorMode.THROW };
+
+// Ids tried by `NewSwapId` (and recomputed by `FindSwaps`) before giving up, unless `options.attempts` is given
+const DEFAULT_ATTEMPTS = 10;
+// Length of `HashId` ids, in hex characters (128 bits of the hash)
+const HASH_LENGTH = 32;
+
+/**
+ * Strategies for generating swap ids
+ *  - `UUID`: a random v4 UUID; can't be recomputed
+ *  - `HASH`: a hash of the creator, collection, token and a nonce
+ *  - `SEQUENTIAL`: the creator's address and a counter, e.g. "archway1f395...-3". Without a counter persisted by the caller,
+ *    it's derived from the creator's current swaps, so the numbers of finished or cancelled swaps can be reused
+ */
+const IdStrategy = {
+  UUID: "uuid",
+  HASH: "hash",
+  SEQUENTIAL: "sequential"
+};
+
+/**
+ * Random swap id
+ * @returns {String} : A v4 UUID, e.g. "3b241101-e2bb-4255-8caf-4136c566a962"
+ */
+function UuidId() {
+  return globalThis.crypto.randomUUID();
+}
+
+/**
+ * Content-hash swap id; the same inputs always give the same id
+ * @param {String} creator : Address of the swap creator
+ * @param {String} cw721 : Contract address of the collection
+ * @param {String} token_id : ID of the token
+ * @param {Number} nonce? : (Optional) Distinguishes swaps of the same creator and token. Default 0
+ * @returns {String} : The first 32 hex characters of the SHA-256 of `creator:cw721:token_id:nonce`
+ */
+async function HashId(creator, cw721, token_id, nonce = 0) {
+  let digest = await globalThis.crypto.subtle.digest("SHA-256", toUtf8([creator, cw721, token_id, nonce].join(":")));
+  return toHex(new Uint8Array(digest)).slice(0, HASH_LENGTH);
+}
+
+/**
+ * Sequential swap id of a creator
+ * @param {String} creator : Address of the swap creator
+ * @param {Number} sequence : Counter of the creator's swaps
+ * @returns {String} : e.g. "archway1f395p0gg67mmfd5zcqvpnp9cxnu0hg6r9hfczq-3"
+ */
+function SequentialId(creator, sequence) {
+  return creator + "-" + sequence;
+}
+
+/**
+ * Check if a swap id is already used
+ * @param {String} id : Swap id
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing (or query) client
+ * @returns {Boolean}
+ */
+async function SwapExists(id, client = null) {
+  if (!client) client = await Client();
+  try {
+    await Query.Details(id, client, THROW);
+    return true;
+  } catch (e) {
+    if (e instanceof SwapNotFoundError) return false;
+    throw e;
+  }
+}
+
+// The counters of a creator's current sequential ids, found in `List`
+async function sequences(creator, client) {
+  let prefix = SequentialId(creator, "");
+  let ids = [];
+  for await (const id of Iterate.List(client)) {
+    if (id.startsWith(prefix) && /^\d+$/.test(id.slice(prefix.length))) ids.push(id);
+  }
+  return ids.map((id) => ({ id: id, sequence: Number(id.slice(prefix.length)) }));
+}
+
+// Swaps are matched to their ids by their contents; paged queries have a collection as `nft_contract`, `Details` as `contract`
+function contentKey(swap) {
+  return JSON.stringify([
+    swap.creator,
+    swap.nft_contract || swap.contract,
+    swap.payment_token || null,
+    swap.token_id,
+    swap.expires,
+    String(swap.price),
+    swap.swap_type
+  ]);
+}
+
+/**
+ * Add the ids of swaps returned by paged queries (e.g. `GetListings` or `SwapsOf`), which don't include them, so they
+ * can be finished, cancelled or updated. Ids are found by walking `List` and `Details` until each swap is matched
+ * by its contents; swaps that already have an `id` are kept as they are
+ * @param {Array} swaps : Swaps of a paged query
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing (or query) client
+ * @param {Object} options? : (Optional) `{ errors }`
+ * @returns {Array} : Returns the swaps as `{ id, ...swap }`; `id` is `null` for swaps that no longer exist
+ */
+async function WithIds(swaps, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    // Ids of the swaps without one, by contents; identical swaps get their ids in `List` order
+    let missing = new Map();
+    swaps.filter((swap) => !swap.id).forEach((swap) => {
+      let key = contentKey(swap);
+      missing.set(key, (missing.get(key) || 0) + 1);
+    });
+    let remaining = [...missing.values()].reduce((sum, count) => sum + count, 0);
+    let found = new Map();
+    if (remaining) {
+      for await (const id of Iterate.List(client)) {
+        let details = await Query.Details(id, client, { errors: ErrorMode.RESULT });
+        // Swaps finished or cancelled since `List`
+        if (!details.ok && details.error instanceof SwapNotFoundError) continue;
+        if (!details.ok) throw details.error;
+        let key = contentKey(details.value);
+        if (!missing.get(key)) continue;
+        missing.set(key, missing.get(key) - 1);
+        found.set(key, [...(found.get(key) || []), id]);
+        if (!--remaining) break;
+      }
+    }
+    return Ok(swaps.map((swap) => {
+      if (swap.id) return swap;
+      let ids = found.get(contentKey(swap)) || [];
+      return { id: ids.shift() || null, ...swap };
+    }), options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+async function creatorOf(params, client) {
+  if (params.creator) return params.creator;
+  let accounts = await client.offlineSigner.getAccounts();
+  return accounts[0].address;
+}
+
+function requireToken(params) {
+  if (!params.token_id) throw new InvalidInputError("`token_id` is required by the hash id strategy");
+}
+
+/**
+ * Generate an unused swap id, e.g. for `CreateNative` or `CreateCw20`. Each candidate id is checked with `Details`
+ * before it's returned, so it doesn't collide with an existing swap:
+ *  - `UUID`: random ids are drawn until one is unused
+ *  - `HASH`: the nonce is increased from `params.nonce` (default 0) until the id is unused
+ *  - `SEQUENTIAL`: the counter starts at `params.sequence`, or after the creator's highest sequential id still in `List`
+ *    if that's higher. `List` only has current swaps: once the creator's highest swap is finished or cancelled, its number is
+ *    handed out again, and the new swap can't be told apart from the old one by its id. To keep ids unique over time, persist
+ *    the counter, i.e. the number of the returned id, and pass it plus 1 as `params.sequence` for the next id
+ * @param {String} strategy? : (Optional) One of `IdStrategy`. Default `IdStrategy.UUID`
+ * @param {Object} params? : (Optional) `{ creator, cw721, token_id, nonce, sequence }`; `creator` defaults to the client's signer and
+ * `cw721` to the network's cw721 contract. `token_id` is required by the `HASH` strategy, and `sequence` is the lowest
+ * counter of the `SEQUENTIAL` strategy (default 0)
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing (or query) client
+ * @param {Object} options? : (Optional) `{ attempts, errors }`; `attempts` is the max. amount of ids tried (default 10)
+ * @returns {String} : Returns the swap id
+ */
+async function NewSwapId(strategy = IdStrategy.UUID, params = {}, client = null, options = {}) {
+  const attempts = options.attempts || DEFAULT_ATTEMPTS;
+
+  try {
+    if (!client) client = await Client();
+    let next;
+    if (strategy == IdStrategy.UUID) {
+      next = async () => UuidId();
+    } else if (strategy == IdStrategy.HASH) {
+      requireToken(params);
+      let creator = await creatorOf(params, client);
+      let cw721 = params.cw721 || ContractAddress(client, 'cw721');
+      let nonce = params.nonce || 0;
+      next = async () => HashId(creator, cw721, params.token_id, nonce++);
+    } else if (strategy == IdStrategy.SEQUENTIAL) {
+      let creator = await creatorOf(params, client);
+      let current = Math.max(-1, ...(await sequences(creator, client)).map((id) => id.sequence)) + 1;
+      let sequence = Math.max(Number(params.sequence || 0), current);
+      next = async () => SequentialId(creator, sequence++);
+    } else {
+      throw new InvalidInputError("Unknown id strategy: " + strategy);
+    }
+    // Collision checks
+    for (let i = 0; i < attempts; i++) {
+      let id = await next();
+      if (!await SwapExists(id, client)) return Ok(id, options);
+    }
+    throw new MarketplaceError("No unused swap id found in " + attempts + " attempts");
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+/**
+ * Find the swaps of a creator again by recomputing their ids, without an indexer. `HASH` ids are recomputed for the
+ * nonces `params.nonce` (default 0) to `params.nonce + attempts - 1`, and `SEQUENTIAL` ids are found in `List`. `UUID`
+ * ids are random, and can't be recomputed. Only current swaps are found; a `SEQUENTIAL` id may have been used before by a
+ * swap that was since finished or cancelled (see `NewSwapId`)
+ * @param {String} strategy : `IdStrategy.HASH` or `IdStrategy.SEQUENTIAL`
+ * @param {Object} params? : (Optional) `{ creator, cw721, token_id, nonce }`, as passed to `NewSwapId`
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing (or query) client
+ * @param {Object} options? : (Optional) `{ attempts, errors }`; `attempts` is the amount of `HASH` ids recomputed (default 10)
+ * @returns {Array} : Returns the creator's existing swaps with those ids, as `{ id, ...swap }`
+ */
+async function FindSwaps(strategy, params = {}, client = null, options = {}) {
+  const attempts = options.attempts || DEFAULT_ATTEMPTS;
+
+  try {
+    if (!client) client = await Client();
+    let creator = await creatorOf(params, client);
+    let found = [];
+    if (strategy == IdStrategy.HASH) {
+      requireToken(params);
+      let cw721 = params.cw721 || ContractAddress(client, 'cw721');
+      let nonce = params.nonce || 0;
+      for (let i = nonce; i < nonce + attempts; i++) {
+        let id = await HashId(creator, cw721, params.token_id, i);
+        let swap = await Query.Details(id, client, { errors: ErrorMode.RESULT });
+        if (swap.ok && swap.value.creator == creator) found.push({ id: id, ...swap.value });
+        else if (!swap.ok && !(swap.error instanceof SwapNotFoundError)) throw swap.error;
+      }
+    } else if (strategy == IdStrategy.SEQUENTIAL) {
+      let ids = (await sequences(creator, client)).sort((a, b) => a.sequence - b.sequence);
+      for (const { id } of ids) {
+        let swap = await Query.Details(id, client, { errors: ErrorMode.RESULT });
+        if (!swap.ok && swap.error instanceof SwapNotFoundError) continue;
+        if (!swap.ok) throw swap.error;
+        if (swap.value.creator !== creator) continue;
+        if (params.cw721 && swap.value.contract !== params.cw721) continue;
+        if (params.token_id && swap.value.token_id !== params.token_id) continue;
+        found.push({ id: id, ...swap.value });
+      }
+    } else {
+      throw new InvalidInputError("Swap ids of the " + strategy + " strategy can't be recomputed");
+    }
+    return Ok(found, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+// Export
+export { IdStrategy, UuidId, HashId, SequentialId, SwapExists, NewSwapId, FindSwaps, WithIds }
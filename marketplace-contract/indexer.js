@@ -0,0 +1,236 @@
+/* global BigInt */
+import { Client } from '../util/client.js';
+import { Iterate } from './iterators.js';
+import { Query } from './marketplace.js';
+import { Query as Cw721 } from '../cw721-contract/cw721.js';
+import { ErrorMode, ErrorCodes } from '../util/errors.js';
+import { IsExpired } from '../util/time.js';
+
+const THROW = { errors: ErrorMode.THROW };
+const RESULT = { errors: ErrorMode.RESULT };
+
+const SALE = "Sale";
+
+/**
+ * A local index of marketplace swaps, for combined filters, sorting and floor prices without a contract
+ * query for each lookup. The index is filled by walking `List` and `Details` (`Sync`), and kept up to date
+ * by syncing again on an interval (`Start`) or by refreshing single swaps after a tx (`Refresh`):
+ *
+ *    const index = Indexer(client, { metadata: true });
+ *    await index.Sync();
+ *    index.Find({ cw721: "archway1...", active: true, traits: { Background: "Orange" } }, { sort: "price" });
+ *    index.Floor({ cw721: "archway1..." });
+ *
+ * Indexed swaps are `Details` results, with their `id`, their collection as `nft_contract` and, if
+ * `options.metadata` is true, the parsed `nft` of their token (see `Metadata.ParseNft` in `cw721.js`)
+ *
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing (or query) client
+ * @param {Object} options? : (Optional) `{ metadata, concurrency, onError }`; `metadata` loads the `NftInfo` of indexed
+ * tokens for trait filters (default false), `concurrency` is the amount of `Details` queries made at once (default 5),
+ * and `onError` is called with the errors of syncs started by `Start` (default `console.error`)
+ * @returns {Object} : `{ Sync, Refresh, Remove, Get, Find, Floor, Start, Stop, Size }`
+ */
+function Indexer(client = null, options = {}) {
+  const concurrency = Math.max(options.concurrency || 5, 1);
+  const onError = options.onError || console.error;
+
+  // Swaps by id
+  const swaps = new Map();
+  // Parsed Nfts by "cw721:token_id"
+  const nfts = new Map();
+  // Block height of the last sync, for `at_height` expirations
+  let height = null;
+  let timer = null;
+  let syncing = null;
+
+  /**
+   * Load a swap's `Details` (and token metadata) into the index
+   * @param {String} id : Swap id
+   * @param {Object} swap : Details of the swap
+   */
+  async function store(id, swap) {
+    let entry = Object.assign({}, swap, { id: id, nft_contract: swap.nft_contract || swap.contract });
+    if (options.metadata) {
+      let key = entry.nft_contract + ":" + entry.token_id;
+      if (!nfts.has(key)) {
+        let nft = await Cw721.NftInfo(entry.token_id, entry.nft_contract, client);
+        if (!nft.error) nfts.set(key, nft);
+      }
+      entry.nft = nfts.get(key) || null;
+    }
+    swaps.set(id, entry);
+    return entry;
+  }
+
+  /**
+   * Walk all swaps of the marketplace (`List` and `Details`) and replace the index with them; swaps finished or
+   * cancelled during the walk are left out
+   * @returns {Number} : Returns the amount of indexed swaps
+   */
+  async function Sync() {
+    // Overlapping syncs (e.g. of `Start`) share the running one
+    if (syncing) return syncing;
+    syncing = (async () => {
+      if (!client) client = await Client();
+      let ids = [];
+      for await (const id of Iterate.List(client)) ids.push(id);
+      let fetched = new Map();
+      for (let i = 0; i < ids.length; i += concurrency) {
+        let batch = ids.slice(i, i + concurrency);
+        let details = await Promise.all(batch.map((id) => Query.Details(id, client, RESULT)));
+        batch.forEach((id, j) => {
+          // Swaps finished or cancelled since `List` are skipped
+          if (details[j].ok) fetched.set(id, details[j].value);
+          else if (details[j].error.code !== ErrorCodes.SWAP_NOT_FOUND) throw details[j].error;
+        });
+      }
+      height = await client.wasmClient.getHeight();
+      swaps.clear();
+      for (const [id, swap] of fetched) await store(id, swap);
+      return swaps.size;
+    })();
+    try {
+      return await syncing;
+    } finally {
+      syncing = null;
+    }
+  }
+
+  /**
+   * Reload a single swap (e.g. after creating, updating or finishing it); swaps that no longer exist are removed
+   * @param {String} id : Swap id
+   * @returns {Object|null} : Returns the indexed swap, or `null` if it was removed
+   */
+  async function Refresh(id) {
+    if (!client) client = await Client();
+    try {
+      let swap = await Query.Details(id, client, THROW);
+      return await store(id, swap);
+    } catch (e) {
+      if (e.code !== ErrorCodes.SWAP_NOT_FOUND) throw e;
+      swaps.delete(id);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a swap from the index (e.g. after cancelling it)
+   * @param {String} id : Swap id
+   */
+  function Remove(id) {
+    swaps.delete(id);
+  }
+
+  /**
+   * Get an indexed swap
+   * @param {String} id : Swap id
+   * @returns {Object|null}
+   */
+  function Get(id) {
+    return swaps.get(id) || null;
+  }
+
+  /**
+   * Find indexed swaps matching all given filters
+   * @param {Object} filters? : (Optional) `{ cw721, creator, token_id, swap_type, payment_token, min, max, active, traits }`.
+   * `cw721` and `creator` can be an address or an array of addresses. `payment_token` is a cw20 address, or `null` for native
+   * ARCH; omit it to match all denoms. `min` and `max` are prices in atomic units. `active` excludes expired swaps.
+   * `traits` maps trait types to a value or an array of values, e.g. `{ Background: ["Orange", "Blue"] }` (requires `options.metadata`)
+   * @param {Object} options? : (Optional) `{ sort, order, offset, limit }`; `sort` is "price", "expires" or "id",
+   * `order` is "asc" (default) or "desc". Swaps expiring at a block height, or never, sort after swaps expiring at a time
+   * @returns {Array} : Returns the matching swaps
+   */
+  function Find(filters = {}, options = {}) {
+    let results = [...swaps.values()].filter((swap) => matches(swap, filters, height));
+    if (options.sort) {
+      let key = SortKeys[options.sort];
+      if (!key) throw new Error("Unknown sort: " + options.sort);
+      let direction = (options.order == "desc") ? -1 : 1;
+      results.sort((a, b) => {
+        let x = key(a), y = key(b);
+        return ((x < y) ? -1 : (x > y) ? 1 : 0) * direction;
+      });
+    }
+    let offset = options.offset || 0;
+    let end = (options.limit) ? offset + options.limit : undefined;
+    return results.slice(offset, end);
+  }
+
+  /**
+   * Get the floor listing: the cheapest 'Sale' that hasn't expired
+   * @param {Object} filters? : (Optional) See `Find`; e.g. `{ cw721 }` for the floor of a collection. Prices of
+   * different denoms can't be compared, so `payment_token` defaults to `null` (native ARCH)
+   * @returns {Object|null} : Returns the floor swap, or `null` if nothing is listed
+   */
+  function Floor(filters = {}) {
+    let floor = Find(
+      Object.assign({ payment_token: null }, filters, { swap_type: SALE, active: true }),
+      { sort: "price", limit: 1 }
+    );
+    return floor[0] || null;
+  }
+
+  /**
+   * Sync the index now, and again on an interval
+   * @param {Number} interval? : (Optional) Milliseconds between syncs. Default 60000
+   */
+  function Start(interval = 60000) {
+    Stop();
+    Sync().catch(onError);
+    timer = setInterval(() => Sync().catch(onError), interval);
+  }
+
+  /**
+   * Stop syncing on an interval
+   */
+  function Stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * @returns {Number} : Returns the amount of indexed swaps
+   */
+  function Size() {
+    return swaps.size;
+  }
+
+  return { Sync, Refresh, Remove, Get, Find, Floor, Start, Stop, Size };
+}
+
+// Sort keys of `Find`
+const SortKeys = {
+  id: (swap) => swap.id,
+  price: (swap) => BigInt(swap.price),
+  expires: (swap) => {
+    if (swap.expires && swap.expires.at_time !== undefined) return BigInt(swap.expires.at_time);
+    // After all time based expirations; `never` last
+    if (swap.expires && swap.expires.at_height !== undefined) return BigInt("0xffffffffffffffff");
+    return BigInt("0x10000000000000000");
+  }
+};
+
+function oneOf(value, expected) {
+  return (Array.isArray(expected)) ? expected.includes(value) : value === expected;
+}
+
+function matches(swap, filters, height) {
+  if (filters.cw721 && !oneOf(swap.nft_contract, filters.cw721)) return false;
+  if (filters.creator && !oneOf(swap.creator, filters.creator)) return false;
+  if (filters.token_id !== undefined && swap.token_id !== filters.token_id) return false;
+  if (filters.swap_type && swap.swap_type !== filters.swap_type) return false;
+  if (filters.payment_token !== undefined && (swap.payment_token || null) !== filters.payment_token) return false;
+  if (filters.min !== undefined && filters.min !== null && BigInt(swap.price) < BigInt(filters.min)) return false;
+  if (filters.max !== undefined && filters.max !== null && BigInt(swap.price) > BigInt(filters.max)) return false;
+  if (filters.active && IsExpired(swap.expires, { height: height })) return false;
+  if (filters.traits) {
+    let attributes = (swap.nft && swap.nft.extension && swap.nft.extension.attributes) || {};
+    for (const [trait, value] of Object.entries(filters.traits)) {
+      if (!oneOf(attributes[trait], value)) return false;
+    }
+  }
+  return true;
+}
+
+// Export
+export { Indexer }
@@ -0,0 +1,154 @@
+import { Client } from '../util/client.js';
+import { Pages, Cursor, All } from '../util/pagination.js';
+import { Query } from './marketplace.js';
+import { ErrorMode } from '../util/errors.js';
+import { Validate } from './validity.js';
+
+const THROW = { errors: ErrorMode.THROW };
+
+const SALE = "Sale";
+
+/**
+ * Async iterators for the paginated marketplace queries. Each iterator yields results one by one,
+ * fetching pages as needed, and stops after the last page:
+ *
+ *    for await (const swap of Iterate.GetListings(client, { concurrency: 3 })) { ... }
+ *
+ * `options` are passed to `Pages` / `Cursor` (see `util/pagination.js`), e.g. `{ limit, concurrency }`. Swap iterators
+ * also take `{ fillable: true }`, which skips swaps that can't be filled (see `Validate` in `validity.js`).
+ * `FetchAll` has the same entry points, but resolves to an array of all results.
+ */
+
+/**
+ * Skip the swaps of an iterator that can't be filled, if `options.fillable` is true
+ * @param {AsyncIterable} iterator : Swap iterator
+ * @param {SigningCosmWasmClient} client : instance of signing (or query) client
+ * @param {Object} options : `{ fillable }`
+ * @yields {Object} : Swap
+ */
+async function* fillable(iterator, client, options) {
+  if (!options.fillable) return yield* iterator;
+  let height = await client.wasmClient.getHeight();
+  for await (const swap of iterator) {
+    if ((await Validate(swap, client, { height: height })).valid) yield swap;
+  }
+}
+
+/**
+ * Iterate all swap ids (see `Query.List`)
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ limit, start }`; `limit` defaults to (and can't exceed) 30
+ * @yields {String} : Swap id
+ */
+async function* List(client = null, options = {}) {
+  if (!client) client = await Client();
+  yield* Cursor((start, limit) => Query.List(start, limit, client, THROW), options);
+}
+
+/**
+ * Iterate all swaps of type `SwapType::Offer` (see `Query.GetOffers`)
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ limit, concurrency, page, fillable }`
+ * @yields {Object} : Swap
+ */
+async function* GetOffers(client = null, options = {}) {
+  if (!client) client = await Client();
+  yield* fillable(Pages((page, limit) => Query.GetOffers(page, limit, client, THROW), options), client, options);
+}
+
+/**
+ * Iterate all swaps of type `SwapType::Sale` (see `Query.GetListings`)
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ limit, concurrency, page, fillable }`
+ * @yields {Object} : Swap
+ */
+async function* GetListings(client = null, options = {}) {
+  if (!client) client = await Client();
+  yield* fillable(Pages((page, limit) => Query.GetListings(page, limit, client, THROW), options), client, options);
+}
+
+/**
+ * Iterate all swaps created by a specific wallet address (see `Query.SwapsOf`)
+ * @param {String} address : Swap creator
+ * @param {String} type : Swap type; must be either "Sale" or "Offer"
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ limit, concurrency, page, fillable }`
+ * @yields {Object} : Swap
+ */
+async function* SwapsOf(address, type = SALE, client = null, options = {}) {
+  if (!client) client = await Client();
+  yield* fillable(Pages((page, limit) => Query.SwapsOf(address, type, page, limit, client, THROW), options), client, options);
+}
+
+/**
+ * Iterate all swaps for a specific token ID (see `Query.ListingsOfToken`)
+ * @param {String} token_id
+ * @param {String} cw721 : Collection contract used for finding the `token_id`
+ * @param {String} type? : Optional filter; "Sale", "Offer" or `null` for all swaps
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ limit, concurrency, page, fillable }`
+ * @yields {Object} : Swap
+ */
+async function* ListingsOfToken(token_id, cw721, type = null, client = null, options = {}) {
+  if (!client) client = await Client();
+  yield* fillable(Pages((page, limit) => Query.ListingsOfToken(token_id, cw721, type, page, limit, client, THROW), options), client, options);
+}
+
+/**
+ * Iterate all swaps within a given price range (see `Query.SwapsByPrice`)
+ * @param {Number} min? : (Optional) Minimum price
+ * @param {Number} max? : (Optional) Maximum price
+ * @param {String} type : Swap type; must be either "Sale" or "Offer"
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ limit, concurrency, page, fillable }`
+ * @yields {Object} : Swap
+ */
+async function* SwapsByPrice(min = null, max = null, type = SALE, client = null, options = {}) {
+  if (!client) client = await Client();
+  yield* fillable(Pages((page, limit) => Query.SwapsByPrice(min, max, type, page, limit, client, THROW), options), client, options);
+}
+
+/**
+ * Iterate all swaps for a given denom (see `Query.SwapsByDenom`)
+ * @param {String|Addr} payment_token? : (Optional) cw20 payment token, or `null` for native ARCH
+ * @param {String} type : Swap type; must be either "Sale" or "Offer"
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ limit, concurrency, page, fillable }`
+ * @yields {Object} : Swap
+ */
+async function* SwapsByDenom(payment_token = null, type = SALE, client = null, options = {}) {
+  if (!client) client = await Client();
+  yield* fillable(Pages((page, limit) => Query.SwapsByDenom(payment_token, type, page, limit, client, THROW), options), client, options);
+}
+
+/**
+ * Iterate all swaps by payment type (see `Query.SwapsByPaymentType`)
+ * @param {Boolean} cw20 : `true` for cw20 payments, `false` for native ARCH payments
+ * @param {String} type : Swap type; must be either "Sale" or "Offer"
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ limit, concurrency, page, fillable }`
+ * @yields {Object} : Swap
+ */
+async function* SwapsByPaymentType(cw20 = false, type = SALE, client = null, options = {}) {
+  if (!client) client = await Client();
+  yield* fillable(Pages((page, limit) => Query.SwapsByPaymentType(cw20, type, page, limit, client, THROW), options), client, options);
+}
+
+const Iterate = {
+  List,
+  GetOffers,
+  GetListings,
+  SwapsOf,
+  ListingsOfToken,
+  SwapsByPrice,
+  SwapsByDenom,
+  SwapsByPaymentType
+};
+
+const FetchAll = {};
+Object.keys(Iterate).forEach((name) => {
+  FetchAll[name] = (...args) => All(Iterate[name](...args));
+});
+
+// Export
+export { Iterate, FetchAll }
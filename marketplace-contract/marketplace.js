@@ -1,8 +1,22 @@
+/* global BigInt */
 import { coin } from "@cosmjs/stargate";
-import { Client } from '../util/client';
-import { FromAtto } from "../util/denom";
-
-const MARKETPLACE_CONTRACT = process.env.VUE_APP_MARKETPLACE_CONTRACT;
+import { fromBech32 } from "@cosmjs/encoding";
+import { Client } from '../util/client.js';
+import { FormatPrice } from "../util/tokens.js";
+import { ContractAddress } from "../util/networks.js";
+import { NftApproval, Cw20Allowance } from "../util/preflight.js";
+import { Broadcast, BroadcastBatched } from "../util/tx.js";
+import { CachedQuery } from "../util/cache.js";
+import {
+  ErrorMode,
+  SwapExpiredError,
+  NftNotWhitelistedError,
+  UnauthorizedError,
+  InvalidInputError,
+  Ok,
+  Fail
+} from "../util/errors.js";
+import { Expiration, HasExpired } from "../util/time.js";
 
 const SALE = "Sale";
 const OFFER = "Offer";
@@ -11,6 +25,8 @@ const OFFER = "Offer";
 
 /**
  * Query marketplace config, which returns basic information and parameters about the marketplace
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns the Config of the marketplace
  * 
  * Example Return: 
@@ -31,21 +47,16 @@ const OFFER = "Offer";
  *                
  * }
  */
-async function Config(client = null) {
-  if (!client) client = await Client();
+async function Config(client = null, options = {}) {
   try {
     let entrypoint = {
       config: {}
     };
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return {};
+    return Fail(e, options);
   }
 }
 
@@ -55,6 +66,8 @@ async function Config(client = null) {
  * @param {String} start? : (Optional) Start paginated request after this swap id. Default null
  * @param {Number} limit? : (Optional) Amount of swaps per paginated request. Default limit 10, maximum limit 30
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns a paginated list of swap ids, default paging is 10 items per page
  * 
  * Example Return:
@@ -62,8 +75,7 @@ async function Config(client = null) {
  *   "swaps": ["swap1","swap2","swap3","swap4","swap5","swap6","swap7","swap8","swap9","swap10"]
  * }
  */
-async function List(start, limit, client = null) {
-  if (!client) client = await Client();
+async function List(start, limit, client = null, options = {}) {
   try {
     let entrypoint = {
       list: {}
@@ -71,14 +83,10 @@ async function List(start, limit, client = null) {
     if (start) entrypoint.list.start_after = start;
     if (limit) entrypoint.list.limit = limit;
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return {};
+    return Fail(e, options);
   }
 }
 
@@ -86,6 +94,8 @@ async function List(start, limit, client = null) {
  * Get details of a specific swap
  * @param {String} id : Swap id to get details for
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns an object containing details of the swap that was fetched
  * 
  * Example Return:
@@ -99,15 +109,14 @@ async function List(start, limit, client = null) {
  * 
  *    "token_id": "1",          // ID of the token being swapped
  *    "expires": {
- *        "at_time": "1724388997000000000"  // This time is in seconds, convert it to a JS date like 
- *                                          // this: `new Date(1724388997000000000/1000000)`
+ *        "at_time": "1724388997000000000"  // This time is in nanoseconds, convert it to a JS date 
+ *                                          // with `ToDate(expires)` (see util/time.js)
  *    },
  *    "price": "1000000000000000000000",    // Price is in aarch precision
  *    "swap_type": "Sale"
  * }
  */
-async function Details(id = null, client = null) {
-  if (!client) client = await Client();
+async function Details(id = null, client = null, options = {}) {
   try {
     let entrypoint = {
       details: {
@@ -115,14 +124,10 @@ async function Details(id = null, client = null) {
       }
     };
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    // console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
@@ -133,6 +138,8 @@ async function Details(id = null, client = null) {
  * @param {Number} page : Results page to be returned; starts at 0. Requesting a non-existent page returns an error.
  * @param {Number} limit : Maximum quantity of results to return. An integer greater than 0 and less than 100.
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns an object with an attribute called "swaps", that is an array of swaps
  * 
  * Example Response: 
@@ -145,8 +152,8 @@ async function Details(id = null, client = null) {
  *                "payment_token": null,      // No payment token means payment is in Native ARCH
  *                "token_id": "1",            // ID of the token being swapped
  *                "expires": {
- *                    "at_time": "1785271356000000000"    // This time is in seconds, convert it to a JS date like 
- *                                                        // this: `new Date(1724388997000000000/1000000)`
+ *                    "at_time": "1785271356000000000"    // This time is in nanoseconds, convert it to a JS date 
+ *                                                        // with `ToDate(expires)` (see util/time.js)
  *                },
  *                "price": "1000000000000000000000",      // Price is in aarch precision
  *                "swap_type": "Sale"
@@ -168,8 +175,7 @@ async function Details(id = null, client = null) {
  *                        // (e.g. for requesting other pages & determining the last page)
  *    }
  */
-async function SwapsOf(address = null, type = SALE, page = 0, limit = 10, client = null) {
-  if (!client) client = await Client();
+async function SwapsOf(address = null, type = SALE, page = 0, limit = 10, client = null, options = {}) {
   try {
     let entrypoint = {
       swaps_of: {
@@ -180,14 +186,10 @@ async function SwapsOf(address = null, type = SALE, page = 0, limit = 10, client
       }
     };
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
@@ -195,12 +197,13 @@ async function SwapsOf(address = null, type = SALE, page = 0, limit = 10, client
  * Count the total number of swaps, or the total number of swaps for a `SwapType` ('Sale' / 'Offer')
  * @param {String} type : Optional filter for `SwapType`. Can be Either SALE ('Sale') or OFFER ('Offer')
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult | Number} : Returns a number (unsigned integer)
  * 
  * Example Return: `258`
  */
-async function GetTotal(swap_type = SALE, client = null) {
-  if (!client) client = await Client();
+async function GetTotal(swap_type = SALE, client = null, options = {}) {
   try {
     let entrypoint = {
       get_total: {
@@ -208,14 +211,10 @@ async function GetTotal(swap_type = SALE, client = null) {
       }
     };
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
@@ -224,6 +223,8 @@ async function GetTotal(swap_type = SALE, client = null) {
  * @param {Number} page : Results page to be returned; starts at 0. Requesting a non-existent page returns an error.
  * @param {Number} limit : Maximum quantity of results to return. An integer greater than 0 and less than 100.
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns an object with an attribute called "swaps", that is an array of swaps
  * 
  * // Note that Offers cannot be made in native arch, but a cw20 token like wrapped ARCH 
@@ -243,8 +244,8 @@ async function GetTotal(swap_type = SALE, client = null) {
  *                "token_id": "1",
  * 
  *                "expires": {
- *                    "at_time": "1785271356000000000"    // This time is in seconds, convert it to a JS date like 
- *                                                        // this: `new Date(1724388997000000000/1000000)`
+ *                    "at_time": "1785271356000000000"    // This time is in nanoseconds, convert it to a JS date 
+ *                                                        // with `ToDate(expires)` (see util/time.js)
  *                },
  *                "price": "1000000000000000000000",      // Price is in denom precision of the cw20
  *                "swap_type": "Offer"
@@ -266,8 +267,7 @@ async function GetTotal(swap_type = SALE, client = null) {
  *                        // (e.g. for requesting other pages & determining the last page)
  *    }
  */
-async function GetOffers(page = 0, limit = 10, client = null) {
-  if (!client) client = await Client();
+async function GetOffers(page = 0, limit = 10, client = null, options = {}) {
   try {
     let entrypoint = {
       get_offers: {
@@ -276,14 +276,10 @@ async function GetOffers(page = 0, limit = 10, client = null) {
       }
     };
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
@@ -292,6 +288,8 @@ async function GetOffers(page = 0, limit = 10, client = null) {
  * @param {Number} page : Results page to be returned; starts at 0. Requesting a non-existent page returns an error.
  * @param {Number} limit : Maximum quantity of results to return. An integer greater than 0 and less than 100.
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns an object with an attribute called "swaps", that is an array of swaps
  * 
  * Example Response: 
@@ -304,8 +302,8 @@ async function GetOffers(page = 0, limit = 10, client = null) {
  *                "payment_token": null,      // No payment token means payment is in Native ARCH
  *                "token_id": "1",            // ID of the token being swapped
  *                "expires": {
- *                    "at_time": "1785271356000000000"    // This time is in seconds, convert it to a JS date like 
- *                                                        // this: `new Date(1724388997000000000/1000000)`
+ *                    "at_time": "1785271356000000000"    // This time is in nanoseconds, convert it to a JS date 
+ *                                                        // with `ToDate(expires)` (see util/time.js)
  *                },
  *                "price": "1000000000000000000000",      // Price is in aarch precision
  *                "swap_type": "Sale"
@@ -327,8 +325,7 @@ async function GetOffers(page = 0, limit = 10, client = null) {
  *                        // (e.g. for requesting other pages & determining the last page)
  *    }
  */
-async function GetListings(page = 0, limit = 10, client = null) {
-  if (!client) client = await Client();
+async function GetListings(page = 0, limit = 10, client = null, options = {}) {
   try {
     let entrypoint = {
       get_listings: {
@@ -337,14 +334,10 @@ async function GetListings(page = 0, limit = 10, client = null) {
       }
     };
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
@@ -356,6 +349,8 @@ async function GetListings(page = 0, limit = 10, client = null) {
  * @param {Number} page : Results page to be returned; starts at 0. Requesting a non-existent page returns an error.
  * @param {Number} limit : Maximum quantity of results to return. An integer greater than 0 and less than 100.
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns an object with an attribute called "swaps", that is an array of swaps
  * 
  * Example Response: 
@@ -368,8 +363,8 @@ async function GetListings(page = 0, limit = 10, client = null) {
  *                "payment_token": null,      // No payment token means payment is in Native ARCH
  *                "token_id": "1",            // ID of the token being swapped
  *                "expires": {
- *                    "at_time": "1785271356000000000"    // This time is in seconds, convert it to a JS date like 
- *                                                        // this: `new Date(1724388997000000000/1000000)`
+ *                    "at_time": "1785271356000000000"    // This time is in nanoseconds, convert it to a JS date 
+ *                                                        // with `ToDate(expires)` (see util/time.js)
  *                },
  *                "price": "1000000000000000000000",      // Price is in aarch precision
  *                "swap_type": "Sale"
@@ -392,8 +387,7 @@ async function GetListings(page = 0, limit = 10, client = null) {
  *        "total": "2"    // Note that pagination returns the total value of swaps (e.g. for requesting other pages & determining the last page)
  *    }
  */
-async function ListingsOfToken(token_id = null, cw721 = null, type = null, page = 0, limit = 10, client = null) {
-  if (!client) client = await Client();
+async function ListingsOfToken(token_id = null, cw721 = null, type = null, page = 0, limit = 10, client = null, options = {}) {
   try {
     let entrypoint = {
       listings_of_token: {
@@ -404,14 +398,10 @@ async function ListingsOfToken(token_id = null, cw721 = null, type = null, page
       }
     };
     if (type) entrypoint.listings_of_token.swap_type = type;
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
@@ -423,6 +413,8 @@ async function ListingsOfToken(token_id = null, cw721 = null, type = null, page
  * @param {Number} page : Results page to be returned; starts at 0. Requesting a non-existent page returns an error.
  * @param {Number} limit : Maximum quantity of results to return. An integer greater than 0 and less than 100.
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns an object with an attribute called "swaps", that is an array of swaps
  * 
  * Example Return:
@@ -439,8 +431,8 @@ async function ListingsOfToken(token_id = null, cw721 = null, type = null, page
 
             "token_id": "1",
             "expires": {
-                "at_time": "1723948517000000000"    // This time is in seconds, convert it to a JS date like 
-                                                    // this: `new Date(1724388997000000000/1000000)`
+                "at_time": "1723948517000000000"    // This time is in nanoseconds, convert it to a JS date 
+                                                    // with `ToDate(expires)` (see util/time.js)
             },
             "price": "2000000000000000000",         // Price is in aarch precision
             "swap_type": "Sale"
@@ -461,8 +453,7 @@ async function ListingsOfToken(token_id = null, cw721 = null, type = null, page
     "total": "2"
 }
  */
-async function SwapsByPrice(min = null, max = null, type = SALE,page = 0, limit = 10, client = null) {
-  if (!client) client = await Client();
+async function SwapsByPrice(min = null, max = null, type = SALE,page = 0, limit = 10, client = null, options = {}) {
   try {
     let entrypoint = {
       swaps_by_price: {
@@ -474,14 +465,10 @@ async function SwapsByPrice(min = null, max = null, type = SALE,page = 0, limit
     if (min) entrypoint.swaps_by_price.min = String(min);
     if (max) entrypoint.swaps_by_price.max = String(max);
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
@@ -494,6 +481,8 @@ async function SwapsByPrice(min = null, max = null, type = SALE,page = 0, limit
  * @param {Number} page : Results page to be returned; starts at 0. Requesting a non-existent page returns an error.
  * @param {Number} limit : Maximum quantity of results to return. An integer greater than 0 and less than 100.
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns an object with an attribute called "swaps", that is an array of swaps
  * 
  * Example Return:
@@ -509,8 +498,8 @@ async function SwapsByPrice(min = null, max = null, type = SALE,page = 0, limit
  *                "payment_token": null,      // No payment token means payment is in Native ARCH
  *                "token_id": "1",            // ID of the token being swapped
  *                "expires": {
- *                    "at_time": "1785271356000000000"    // This time is in seconds, convert it to a JS date like 
- *                                                        // this: `new Date(1724388997000000000/1000000)`
+ *                    "at_time": "1785271356000000000"    // This time is in nanoseconds, convert it to a JS date 
+ *                                                        // with `ToDate(expires)` (see util/time.js)
  *                },
  *                "price": "1000000000000000000000",      // Price is in aarch precision
  *                "swap_type": "Sale"
@@ -532,8 +521,7 @@ async function SwapsByPrice(min = null, max = null, type = SALE,page = 0, limit
  *                        // (e.g. for requesting other pages & determining the last page)
  *    }
  */
-async function SwapsByDenom(payment_token = null, type = SALE, page = 0, limit = 10, client = null) {
-  if (!client) client = await Client();
+async function SwapsByDenom(payment_token = null, type = SALE, page = 0, limit = 10, client = null, options = {}) {
   try {
     let entrypoint = {
       swaps_by_denom: {
@@ -544,14 +532,10 @@ async function SwapsByDenom(payment_token = null, type = SALE, page = 0, limit =
     };
     if (payment_token) entrypoint.swaps_by_denom.payment_token = payment_token;
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
@@ -562,6 +546,8 @@ async function SwapsByDenom(payment_token = null, type = SALE, page = 0, limit =
  * @param {Number} page : Results page to be returned; starts at 0. Requesting a non-existent page returns an error.
  * @param {Number} limit : Maximum quantity of results to return. An integer greater than 0 and less than 100.
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Object} options? : (Optional) `{ errors, cache, ttl }`; `errors` is one of `ErrorMode` (see `util/errors.js`), `cache`
+ * and `ttl` are passed to `CachedQuery` (see `util/cache.js`)
  * @returns {QueryResult} : Returns an object with an attribute called "swaps", that is an array of swaps
  * 
  * Example Return:
@@ -577,8 +563,8 @@ async function SwapsByDenom(payment_token = null, type = SALE, page = 0, limit =
  *                "payment_token": null,      // No payment token means payment is in Native ARCH
  *                "token_id": "1",            // ID of the token being swapped
  *                "expires": {
- *                    "at_time": "1785271356000000000"    // This time is in seconds, convert it to a JS date like 
- *                                                        // this: `new Date(1724388997000000000/1000000)`
+ *                    "at_time": "1785271356000000000"    // This time is in nanoseconds, convert it to a JS date 
+ *                                                        // with `ToDate(expires)` (see util/time.js)
  *                },
  *                "price": "1000000000000000000000",      // Price is in aarch precision
  *                "swap_type": "Sale"
@@ -600,8 +586,7 @@ async function SwapsByDenom(payment_token = null, type = SALE, page = 0, limit =
  *                        // (e.g. for requesting other pages & determining the last page)
  *    }
  */
-async function SwapsByPaymentType(cw20 = false, type = SALE, page = 0, limit = 10, client = null) {
-  if (!client) client = await Client();
+async function SwapsByPaymentType(cw20 = false, type = SALE, page = 0, limit = 10, client = null, options = {}) {
   try {
     let entrypoint = {
       swaps_by_payment_type: {
@@ -612,85 +597,121 @@ async function SwapsByPaymentType(cw20 = false, type = SALE, page = 0, limit = 1
       }
     };
 
-    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
-      MARKETPLACE_CONTRACT,
-      entrypoint
-    );
-    return query;
+    let query = await CachedQuery(client, 'marketplace', entrypoint, options);
+    return Ok(query, options);
   } catch(e) {
-    console.error(e);
-    return { error: e };
+    return Fail(e, options);
   }
 }
 
 // Txs
 
+/**
+ * @typedef {Object} ExecuteOptions
+ * @property {String} cw721? : (Optional) Contract address of the NFT collection; defaults to the `cw721` contract of the
+ * client's network, or to the swap's `nft_contract` when finishing a swap. It must be one of the collections in `Config().cw721`
+ * @property {Boolean} preflight? : (Optional) Add missing cw721 approvals and cw20 allowances for the marketplace
+ * to the same tx (see `util/preflight.js`). Only used by create and finish txs
+ * @property {Date|String|Number|Object} allowanceExpires? : (Optional) With `preflight`, the new expiration of an expired
+ * cw20 allowance, e.g. "30d" or "never"; an expired allowance isn't renewed without it (see `Cw20Allowance` in `util/preflight.js`)
+ * @property {Boolean} simulate? : (Optional) Dry-run; nothing is broadcast, and the estimated gas, the fee in ARCH and
+ * the funds that would be sent are returned instead (see `Simulation` in `util/tx.js`)
+ * @property {Number} gasMultiplier? : (Optional) Factor applied to the simulated gas. Default 1.3
+ * @property {Number} gasLimit? : (Optional) Max. gas of a single tx of a batch (`CreateMany`, `CancelMany`, `UpdateMany`)
+ * @property {Function} confirm? : (Optional) Called with the config diff before `Admin.UpdateConfig` is broadcast; returns false to cancel
+ * @property {String} errors? : (Optional) One of `ErrorMode` (see `util/errors.js`)
+ */
+
+/**
+ * Check that an NFT collection is curated by the marketplace, before a swap msg for it is broadcast
+ * @param {String} cw721 : Contract address of the collection; defaults to the `cw721` contract of the client's network
+ * @param {SigningCosmWasmClient} client : instance of signing client
+ * @param {Object} config? : (Optional) A marketplace config object; can be loaded from `Config` entry point
+ * @returns {String} : Returns the contract address of the collection
+ * @throws {NftNotWhitelistedError} : If the collection is not in `Config().cw721`
+ */
+async function Collection(cw721, client, config = null) {
+  if (!cw721) cw721 = ContractAddress(client, 'cw721');
+  if (!config) config = await Config(client, { errors: ErrorMode.THROW });
+  if (!(config.cw721 || []).includes(cw721)) {
+    throw new NftNotWhitelistedError("NFT contract " + cw721 + " is not whitelisted");
+  }
+  return cw721;
+}
+
 /**
  * Create a swap for native ARCH
  * @param {String} id : An ID to be used to refer to this swap
  * @param {String} token_id : token_id (domain) to be sold in the swap
- * @param {Number} expiration : A timestamp (nanosecond precision) after which the swap is invalid
+ * @param {Date|String|Number|Object} expiration : Expiration after which the swap is invalid; a JS Date, a duration from now (e.g. "7d"),
+ * a timestamp (seconds, milliseconds or nanoseconds) or a cw `Expiration` (`at_time`, `at_height` or `never`); see `Expiration` in `util/time.js`
  * @param {Number} price : A price, in a cw20 denom, to be paid by the buyer
  * @param {String} swap_type : Either 'Sale' or 'Offer'
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
- * @returns {ExecuteResult} : Returns success or error result
+ * @param {ExecuteOptions} options? : (Optional) `{ preflight, simulate, gasMultiplier, errors }`; with `preflight`, a missing
+ * cw721 approval for the marketplace is added to the same tx
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
  */
-async function CreateNative(id, token_id, expiration, price, swap_type = SALE, client = null) {
-  if (!client) client = await Client();
-
-  let cost = coin(String(price), client.chainInfo.currencies[0].coinMinimalDenom);
-
+async function CreateNative(id, token_id, expiration, price, swap_type = SALE, client = null, options = {}) {
   try {
+    if (!client) client = await Client();
+    let cost = coin(String(price), client.chainInfo.currencies[0].coinMinimalDenom);
+    let marketplace = ContractAddress(client, 'marketplace');
+    let cw721 = await Collection(options.cw721, client);
+    // Memo
+    let memo = "List " + token_id + " for " + await FormatPrice(cost.amount, null, client);
     // Msg.
     let entrypoint = {
       create: {
         id: id,
+        cw721: cw721,
         payment_token: null,
         token_id: token_id,
-        expires: {
-          at_time: String(expiration)
-        },
+        expires: Expiration(expiration),
         price: cost.amount,
         swap_type: swap_type,
       }
     };
-    // Sender
-    let accounts = await client.offlineSigner.getAccounts();
+    // Approvals
+    let instructions = [];
+    if (options.preflight && swap_type == SALE) {
+      instructions = await NftApproval(token_id, cw721, marketplace, client);
+    }
+    instructions.push({ contractAddress: marketplace, msg: entrypoint });
     // Broadcast tx
-    let tx = await client.wasmClient.execute(
-      accounts[0].address,
-      MARKETPLACE_CONTRACT,
-      entrypoint,
-      client.fees,
-      "List " + token_id + " for " + FromAtto(price, true) + " ARCH"
-    );
+    let tx = await Broadcast(client, instructions, memo, options);
     // Tx result
-    return tx;
+    return Ok(tx, options);
   } catch (e) {
-    console.error(e);
-    return {
-      error: String(e)
-    };
+    return Fail(e, options);
   }
 }
 
 /**
  * Finalize and consume swap for native ARCH
+ * Swaps that have expired fail with a `SwapExpiredError`, before a tx is broadcast
  * @param {String} id : ID of swap to finalize
  * @param {Object} swap : (Optional) A swap details object; can be loaded from `Details` entry point
  * @param {SigningCosmWasmClient} client? : (Optional) instance of signing client
- * @returns {ExecuteResult} : Returns success or error result
+ * @param {ExecuteOptions} options? : (Optional) `{ preflight, simulate, gasMultiplier, errors }`; with `preflight` and an 'Offer'
+ * swap, a missing cw721 approval for the marketplace is added to the same tx
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
  * @see Details
  */
-async function FinishNative(id, swap, client = null) {
-  if (!swap) swap = await Details(id, client);
-  if (!client) client = await Client();
-
+async function FinishNative(id, swap, client = null, options = {}) {
   try {
+    if (!client) client = await Client();
+    if (!swap) swap = await Details(id, client, { errors: ErrorMode.THROW });
+    if (await HasExpired(swap.expires, client)) throw new SwapExpiredError("Swap " + id + " expired");
+    let marketplace = ContractAddress(client, 'marketplace');
+    let cw721 = await Collection(options.cw721 || swap.nft_contract || swap.contract, client);
+    // Memo
+    let memo = "Swap " + swap.token_id + " for " + await FormatPrice(swap.price, null, client);
     // Msg.
     let entrypoint = {
       finish: {
         id: id,
+        cw721: cw721,
         payment_token: null,
         token_id: swap.token_id,
         expires: swap.expires,
@@ -698,26 +719,20 @@ async function FinishNative(id, swap, client = null) {
         swap_type: swap.swap_type
       }
     };
-    // Sender
-    let accounts = await client.offlineSigner.getAccounts();
     // Purchase cost
     let funds = (swap.swap_type == SALE) ? [coin(String(swap.price), client.chainInfo.currencies[0].coinMinimalDenom)] : [];
+    // Approvals
+    let instructions = [];
+    if (options.preflight && swap.swap_type == OFFER) {
+      instructions = await NftApproval(swap.token_id, cw721, marketplace, client);
+    }
+    instructions.push({ contractAddress: marketplace, msg: entrypoint, funds: funds });
     // Broadcast tx
-    let tx = await client.wasmClient.execute(
-      accounts[0].address,
-      MARKETPLACE_CONTRACT,
-      entrypoint,
-      client.fees,
-      "Swap " + swap.token_id + " for " + FromAtto(swap.price, true) + " ARCH",
-      funds
-    );
+    let tx = await Broadcast(client, instructions, memo, options);
     // Tx result
-    return tx;
+    return Ok(tx, options);
   } catch (e) {
-    console.error(e);
-    return {
-      error: String(e)
-    };
+    return Fail(e, options);
   }
 }
 
@@ -725,68 +740,79 @@ async function FinishNative(id, swap, client = null) {
  * Create swap for a cw20 token
  * @param {String} id : An ID to be used to refer to this swap
  * @param {String} token_id : token_id (domain) to be sold in the swap
- * @param {Number} expiration : A timestamp (nanosecond precision) after which the swap is invalid
- * @param {Number} price : A price, in `aarch`, to be paid by the buyer
- * @param {String} denom? : (Optional) denom of payment cw20; only used for memo
+ * @param {Date|String|Number|Object} expiration : Expiration after which the swap is invalid; a JS Date, a duration from now (e.g. "7d"),
+ * a timestamp (seconds, milliseconds or nanoseconds) or a cw `Expiration` (`at_time`, `at_height` or `never`); see `Expiration` in `util/time.js`
+ * @param {Number} price : A price, in the cw20's atomic units, to be paid by the buyer
+ * @param {String} denom? : (Optional) Symbol of payment cw20 shown in the memo; defaults to the symbol from the cw20's `TokenInfo`
  * @param {String} swap_type : Either 'Sale' or 'Offer'
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
- * @returns {ExecuteResult} : Returns success or error result
+ * @param {ExecuteOptions} options? : (Optional) `{ preflight, simulate, gasMultiplier, errors }`; with `preflight`, a missing
+ * cw721 approval ('Sale') or cw20 allowance ('Offer') for the marketplace is added to the same tx
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
  */
-async function CreateCw20(id, cw20_contract, token_id, expiration, price, denom = '', swap_type = SALE, client = null) {
-  if (!client) client = await Client();
-
+async function CreateCw20(id, cw20_contract, token_id, expiration, price, denom = '', swap_type = SALE, client = null, options = {}) {
   try {
+    if (!client) client = await Client();
+    let marketplace = ContractAddress(client, 'marketplace');
+    let cw721 = await Collection(options.cw721, client);
+    // Memo
+    let memo = "List " + token_id + " for " + await FormatPrice(price, cw20_contract, client, null, denom);
     // Msg.
     let entrypoint = {
       create: {
         id: id,
+        cw721: cw721,
         payment_token: cw20_contract,
         token_id: token_id,
-        expires: {
-          at_time: expiration
-        },
+        expires: Expiration(expiration),
         price: String(price),
         swap_type: swap_type
       }
     };
-    // Sender
-    let accounts = await client.offlineSigner.getAccounts();
+    // Approvals
+    let instructions = [];
+    if (options.preflight) {
+      let accounts = await client.offlineSigner.getAccounts();
+      instructions = (swap_type == SALE)
+        ? await NftApproval(token_id, cw721, marketplace, client)
+        : await Cw20Allowance(cw20_contract, price, accounts[0].address, marketplace, client, options.allowanceExpires);
+    }
+    instructions.push({ contractAddress: marketplace, msg: entrypoint });
     // Broadcast tx
-    let tx = await client.wasmClient.execute(
-      accounts[0].address,
-      MARKETPLACE_CONTRACT,
-      entrypoint,
-      client.fees,
-      "List " + token_id + " for " + FromAtto(price, true) + denom
-    );
+    let tx = await Broadcast(client, instructions, memo, options);
     // Tx result
-    return tx;
+    return Ok(tx, options);
   } catch (e) {
-    console.error(e);
-    return {
-      error: String(e)
-    };
+    return Fail(e, options);
   }
 }
 
 /**
  * Finalize and consume swap for cw20 tokens
+ * Swaps that have expired fail with a `SwapExpiredError`, before a tx is broadcast
  * @param {String} id : ID of swap to finalize
  * @param {Object} swap : (Optional) A swap details object; can be loaded from `Details` entry point
- * @param {String} denom? : (Optional) denom of payment cw20; only used for memo
+ * @param {String} denom? : (Optional) Symbol of payment cw20 shown in the memo; defaults to the symbol from the cw20's `TokenInfo`
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
- * @returns {ExecuteResult} : Returns success or error result
+ * @param {ExecuteOptions} options? : (Optional) `{ preflight, simulate, gasMultiplier, errors }`; with `preflight`, a missing
+ * cw20 allowance ('Sale') or cw721 approval ('Offer') for the marketplace is added to the same tx
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
  * @see Details
  */
-async function FinishCw20(id, swap, denom = '', client = null) {
-  if (!swap) swap = await Details(id, client);
-  if (!client) client = await Client();
-
+async function FinishCw20(id, swap, denom = '', client = null, options = {}) {
   try {
+    if (!client) client = await Client();
+    if (!swap) swap = await Details(id, client, { errors: ErrorMode.THROW });
+    if (await HasExpired(swap.expires, client)) throw new SwapExpiredError("Swap " + id + " expired");
+    let marketplace = ContractAddress(client, 'marketplace');
+    let cw721 = await Collection(options.cw721 || swap.nft_contract || swap.contract, client);
+    // Memo
+    let memo = "Swap " + swap.token_id + " for " + await FormatPrice(swap.price, swap.payment_token, client, null, denom);
     // Msg.
     let entrypoint = {
       finish: {
         id: id,
+        cw721: cw721,
         payment_token: swap.payment_token,
         token_id: swap.token_id,
         expires: swap.expires,
@@ -794,23 +820,21 @@ async function FinishCw20(id, swap, denom = '', client = null) {
         swap_type: swap.swap_type
       }
     };
-    // Sender
-    let accounts = await client.offlineSigner.getAccounts();
+    // Approvals
+    let instructions = [];
+    if (options.preflight) {
+      let accounts = await client.offlineSigner.getAccounts();
+      instructions = (swap.swap_type == SALE)
+        ? await Cw20Allowance(swap.payment_token, swap.price, accounts[0].address, marketplace, client, options.allowanceExpires)
+        : await NftApproval(swap.token_id, cw721, marketplace, client);
+    }
+    instructions.push({ contractAddress: marketplace, msg: entrypoint });
     // Broadcast tx
-    let tx = await client.wasmClient.execute(
-      accounts[0].address,
-      MARKETPLACE_CONTRACT,
-      entrypoint,
-      client.fees,
-      "Swap " + swap.token_id + " for " + swap.price + denom
-    );
+    let tx = await Broadcast(client, instructions, memo, options);
     // Tx result
-    return tx;
+    return Ok(tx, options);
   } catch (e) {
-    console.error(e);
-    return {
-      error: String(e)
-    };
+    return Fail(e, options);
   }
 }
 
@@ -818,97 +842,411 @@ async function FinishCw20(id, swap, denom = '', client = null) {
  * Cancel a swap by ID; caller must be swap creator
  * @param {String} id : ID of swap to be cancelled
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
- * @returns {ExecuteResult} : Returns success or error result
+ * @param {ExecuteOptions} options? : (Optional) `{ simulate, gasMultiplier, errors }`
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
  * @see Details
  */
-async function Cancel(id, client = null) {
-  if (!client) client = await Client();
-
+async function Cancel(id, client = null, options = {}) {
   try {
+    if (!client) client = await Client();
     // Msg.
     let entrypoint = {
       cancel: {
         id: id
       }
     };
-    // Sender
-    let accounts = await client.offlineSigner.getAccounts();
     // Broadcast tx
-    let tx = await client.wasmClient.execute(
-      accounts[0].address,
-      MARKETPLACE_CONTRACT,
-      entrypoint,
-      client.fees,
-      "Cancel swap"
+    let tx = await Broadcast(
+      client,
+      [{ contractAddress: ContractAddress(client, 'marketplace'), msg: entrypoint }],
+      "Cancel swap",
+      options
     );
     // Tx result
-    return tx;
+    return Ok(tx, options);
   } catch (e) {
-    console.error(e);
-    return {
-      error: String(e)
-    };
+    return Fail(e, options);
   }
 }
 
 /**
  * Update the price, expiry, or both price and expiry, of a swap by its ID
  * @param {String} id : ID of the swap to be updated
- * @param {Number} expires : New expiration time in seconds
+ * @param {Date|String|Number|Object} expiration : New expiration; a JS Date, a duration from now (e.g. "7d"), a timestamp
+ * (seconds, milliseconds or nanoseconds) or a cw `Expiration` (`at_time`, `at_height` or `never`); see `Expiration` in `util/time.js`
  * @param {Number} price : New price amount; original denom settings will not be changed (e.g. aarch swaps can't be changed to cw20, and vice versa)
  * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
- * @returns {ExecuteResult} : Returns success or error result
+ * @param {ExecuteOptions} options? : (Optional) `{ simulate, gasMultiplier, errors }`
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
  */
-async function Update(id, expiration, price, client = null) {
-  if (!client) client = await Client();
-
-  let cost = coin(String(price), client.chainInfo.currencies[0].coinMinimalDenom);
-
+async function Update(id, expiration, price, client = null, options = {}) {
   try {
+    if (!client) client = await Client();
+    let cost = coin(String(price), client.chainInfo.currencies[0].coinMinimalDenom);
     // Msg.
     let entrypoint = {
       update: {
         id: id,
-        expires: {
-          at_time: String(expiration)
-        },
+        expires: Expiration(expiration),
         price: cost.amount,
       }
     };
-    // Sender
+    // Broadcast tx
+    let tx = await Broadcast(
+      client,
+      [{ contractAddress: ContractAddress(client, 'marketplace'), msg: entrypoint }],
+      "Update swap",
+      options
+    );
+    // Tx result
+    return Ok(tx, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+/**
+ * Create many swaps, in as few txs as possible (see `BroadcastBatched` in `util/tx.js`)
+ * @param {Array} swaps : Array of `{ id, token_id, expiration, price, cw721?, payment_token?, swap_type? }`; `cw721` defaults
+ * to `options.cw721`, `payment_token` is a cw20 contract address or `null` for native ARCH (default), `swap_type` defaults to 'Sale'.
+ * See `CreateNative` and `CreateCw20`
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ preflight, gasLimit, simulate, gasMultiplier, errors }`; with `preflight`,
+ * missing cw721 approvals ('Sale') and cw20 allowances ('Offer') for the marketplace are added to the same tx as the
+ * swaps that need them. `gasLimit` is the max. gas of a single tx; larger batches are split
+ * @returns {Array} : Returns the results of all broadcast txs, or their simulations if `options.simulate` is true
+ * @throws {MarketplaceError} : If a tx fails, txs broadcast before it stay on chain: `error.results` are their results, and
+ * `error.broadcast` the amount of swaps they executed (the first ones of the array)
+ */
+async function CreateMany(swaps, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    let marketplace = ContractAddress(client, 'marketplace');
     let accounts = await client.offlineSigner.getAccounts();
+    // Collections
+    let config = await Config(client, { errors: ErrorMode.THROW });
+    let collections = [];
+    for (const swap of swaps) collections.push(await Collection(swap.cw721 || options.cw721, client, config));
+    // Msgs.
+    let groups = swaps.map((swap, i) => {
+      let swap_type = swap.swap_type || SALE;
+      let price = (swap.payment_token) ? String(swap.price) : coin(String(swap.price), client.chainInfo.currencies[0].coinMinimalDenom).amount;
+      return [{
+        contractAddress: marketplace,
+        msg: {
+          create: {
+            id: swap.id,
+            cw721: collections[i],
+            payment_token: swap.payment_token || null,
+            token_id: swap.token_id,
+            expires: Expiration(swap.expiration),
+            price: price,
+            swap_type: swap_type
+          }
+        }
+      }];
+    });
+    // Approvals
+    if (options.preflight) {
+      let allowances = {};
+      for (let i = 0; i < swaps.length; i++) {
+        let swap = swaps[i];
+        if ((swap.swap_type || SALE) == SALE) {
+          let approval = await NftApproval(swap.token_id, collections[i], marketplace, client);
+          groups[i].unshift(...approval);
+        } else if (swap.payment_token) {
+          // Offers of the same cw20 share a single allowance, added to the first offer's tx
+          if (!allowances[swap.payment_token]) allowances[swap.payment_token] = { total: BigInt(0), group: i };
+          allowances[swap.payment_token].total += BigInt(swap.price);
+        }
+      }
+      for (const [cw20, allowance] of Object.entries(allowances)) {
+        let increase = await Cw20Allowance(cw20, allowance.total, accounts[0].address, marketplace, client, options.allowanceExpires);
+        groups[allowance.group].unshift(...increase);
+      }
+    }
+    // Broadcast txs
+    let txs = await BroadcastBatched(client, groups, "List " + swaps.length + " swaps", options);
+    // Tx results
+    return Ok(txs, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+/**
+ * Cancel many swaps by ID, in as few txs as possible; caller must be creator of all swaps
+ * @param {Array} ids : IDs of the swaps to be cancelled
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ gasLimit, simulate, gasMultiplier, errors }`; `gasLimit` is the max.
+ * gas of a single tx; larger batches are split
+ * @returns {Array} : Returns the results of all broadcast txs, or their simulations if `options.simulate` is true
+ * @throws {MarketplaceError} : If a tx fails, txs broadcast before it stay on chain: `error.results` are their results, and
+ * `error.broadcast` the amount of swaps they executed (the first ones of the array)
+ */
+async function CancelMany(ids, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    let marketplace = ContractAddress(client, 'marketplace');
+    // Msgs.
+    let groups = ids.map((id) => [{
+      contractAddress: marketplace,
+      msg: {
+        cancel: {
+          id: id
+        }
+      }
+    }]);
+    // Broadcast txs
+    let txs = await BroadcastBatched(client, groups, "Cancel " + ids.length + " swaps", options);
+    // Tx results
+    return Ok(txs, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+/**
+ * Update the price and expiry of many swaps, in as few txs as possible (e.g. to reprice listings);
+ * caller must be creator of all swaps
+ * @param {Array} updates : Array of `{ id, expiration, price }`; see `Update`
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ gasLimit, simulate, gasMultiplier, errors }`; `gasLimit` is the max.
+ * gas of a single tx; larger batches are split
+ * @returns {Array} : Returns the results of all broadcast txs, or their simulations if `options.simulate` is true
+ * @throws {MarketplaceError} : If a tx fails, txs broadcast before it stay on chain: `error.results` are their results, and
+ * `error.broadcast` the amount of swaps they executed (the first ones of the array)
+ */
+async function UpdateMany(updates, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    let marketplace = ContractAddress(client, 'marketplace');
+    // Msgs.
+    let groups = updates.map((update) => [{
+      contractAddress: marketplace,
+      msg: {
+        update: {
+          id: update.id,
+          expires: Expiration(update.expiration),
+          price: coin(String(update.price), client.chainInfo.currencies[0].coinMinimalDenom).amount
+        }
+      }
+    }]);
+    // Broadcast txs
+    let txs = await BroadcastBatched(client, groups, "Update " + updates.length + " swaps", options);
+    // Tx results
+    return Ok(txs, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+// Admin txs
+
+/**
+ * Check that an address is a valid bech32 account address of the client's chain
+ * @param {String} address : Address to be checked
+ * @param {SigningCosmWasmClient} client : instance of signing client
+ * @throws {InvalidInputError} : If `address` is not a valid account address
+ */
+function CheckAddress(address, client) {
+  let prefix = client.chainInfo.bech32Config.bech32PrefixAccAddr;
+  try {
+    if (fromBech32(address).prefix == prefix) return;
+  } catch (e) {
+    throw new InvalidInputError("Invalid address " + address + ": " + e.message, e);
+  }
+  throw new InvalidInputError("Invalid address " + address + ": expected prefix " + prefix);
+}
+
+/**
+ * Check that the signer of a client is the marketplace `admin`
+ * @param {SigningCosmWasmClient} client : instance of signing client
+ * @param {Object} config : A marketplace config object; can be loaded from `Config` entry point
+ * @throws {UnauthorizedError} : If the signer is not `Config().admin`
+ */
+async function CheckAdmin(client, config) {
+  let accounts = await client.offlineSigner.getAccounts();
+  if (accounts[0].address !== config.admin) {
+    throw new UnauthorizedError("Signer " + accounts[0].address + " is not the marketplace admin (" + config.admin + ")");
+  }
+}
+
+/**
+ * Compare the current and the proposed marketplace config
+ * @param {Object} current : The current config; can be loaded from `Config` entry point
+ * @param {Object} proposed : The proposed config
+ * @returns {Array} : Returns an array of `{ key, current, proposed }`, one for each changed parameter
+ *
+ * Example Return:
+ * [
+ *    { "key": "fees", "current": 0.1, "proposed": 0.05 },
+ *    { "key": "admin", "current": "archway1f395...", "proposed": "archway1kjtm..." }
+ * ]
+ */
+function ConfigDiff(current, proposed) {
+  let keys = [...new Set([...Object.keys(current), ...Object.keys(proposed)])];
+  return keys
+    .filter((key) => JSON.stringify(current[key]) !== JSON.stringify(proposed[key]))
+    .map((key) => ({ key: key, current: current[key], proposed: proposed[key] }));
+}
+
+/**
+ * Update the marketplace's configuration parameters (e.g. Marketplace fees or Admin address); caller must be `admin`.
+ * The proposed config is merged into the current config and validated; the resulting diff is passed to `options.confirm`
+ * before the tx is broadcast, and returned with the result
+ * @param {Object} config : Parameters to be changed; its properties are identical to the response of `Config`
+ * (e.g. `{ fees: 0.05 }`). `fees` must be between 0 and 1, `admin` and `cw721` must be valid archway addresses
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ confirm, simulate, gasMultiplier, errors }`; `confirm` is a function
+ * called with the config diff (see `ConfigDiff`), which returns (or resolves) false to cancel the update
+ * @returns {ExecuteResult} : Returns success or error result, the tx simulation if `options.simulate` is true, or
+ * `{ broadcast: false, diff }` if the update was cancelled or changes nothing. Results also have the config `diff`
+ * @see Config
+ */
+async function UpdateConfig(config, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    let current = await Config(client, { errors: ErrorMode.THROW });
+    await CheckAdmin(client, current);
+    // Validate
+    let proposed = { ...current, ...config };
+    let fees = Number(proposed.fees);
+    if (!Number.isFinite(fees) || fees < 0 || fees > 1) {
+      throw new InvalidInputError("Invalid fees " + proposed.fees + ": expected a percentage between 0 and 1 (e.g. 0.1 == 10%)");
+    }
+    CheckAddress(proposed.admin, client);
+    if (!Array.isArray(proposed.cw721)) throw new InvalidInputError("Invalid cw721: expected an array of contract addresses");
+    proposed.cw721.forEach((cw721) => CheckAddress(cw721, client));
+    // Diff
+    let diff = ConfigDiff(current, proposed);
+    if (!diff.length) return Ok({ broadcast: false, diff: diff }, options);
+    if (options.confirm && await options.confirm(diff) === false) return Ok({ broadcast: false, diff: diff }, options);
+    // Msg.
+    let entrypoint = {
+      update_config: {
+        config: proposed
+      }
+    };
     // Broadcast tx
-    let tx = await client.wasmClient.execute(
-      accounts[0].address,
-      MARKETPLACE_CONTRACT,
-      entrypoint,
-      client.fees,
-      "Update swap"
+    let tx = await Broadcast(
+      client,
+      [{ contractAddress: ContractAddress(client, 'marketplace'), msg: entrypoint }],
+      "Update marketplace config",
+      options
     );
     // Tx result
-    return tx;
+    return Ok({ ...tx, diff: diff }, options);
   } catch (e) {
-    console.error(e);
-    return {
-      error: String(e)
+    return Fail(e, options);
+  }
+}
+
+/**
+ * Add an NFT collection contract to the curated list of contracts allowed to list NFTs; caller must be `admin`
+ * @param {String} cw721 : Contract address of the collection
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ simulate, gasMultiplier, errors }`
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
+ */
+async function AddNft(cw721, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    CheckAddress(cw721, client);
+    let config = await Config(client, { errors: ErrorMode.THROW });
+    await CheckAdmin(client, config);
+    if ((config.cw721 || []).includes(cw721)) throw new InvalidInputError("NFT contract " + cw721 + " is already whitelisted");
+    // Msg.
+    let entrypoint = {
+      add_nft: {
+        cw721: cw721
+      }
     };
+    // Broadcast tx
+    let tx = await Broadcast(
+      client,
+      [{ contractAddress: ContractAddress(client, 'marketplace'), msg: entrypoint }],
+      "Add NFT contract " + cw721,
+      options
+    );
+    // Tx result
+    return Ok(tx, options);
+  } catch (e) {
+    return Fail(e, options);
   }
 }
 
 /**
- * Additional admin only txs not covered in this example file:
- * ExecuteMsg::UpdateConfig
- * Used to update config parameters, e.g. Marketplace fees or Admin address
- * 
- * ExecuteMsg::AddNft
- * Add an NFT collection contract to the curated list of contracts allowed to list NFTs
- * 
- * ExecuteMsg::RemoveNft
- * Remove an NFT collection contract to the curated list of contracts allowed to list NFTs
- * 
- * ExecuteMsg::Withdraw
- * Withdraw funds from the contract (e.g. accrued marketplace fees)
+ * Remove an NFT collection contract from the curated list of contracts allowed to list NFTs; caller must be `admin`
+ * @param {String} cw721 : Contract address of the collection
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ simulate, gasMultiplier, errors }`
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
  */
+async function RemoveNft(cw721, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    CheckAddress(cw721, client);
+    let config = await Config(client, { errors: ErrorMode.THROW });
+    await CheckAdmin(client, config);
+    if (!(config.cw721 || []).includes(cw721)) throw new NftNotWhitelistedError("NFT contract " + cw721 + " is not whitelisted");
+    // Msg.
+    let entrypoint = {
+      remove_nft: {
+        cw721: cw721
+      }
+    };
+    // Broadcast tx
+    let tx = await Broadcast(
+      client,
+      [{ contractAddress: ContractAddress(client, 'marketplace'), msg: entrypoint }],
+      "Remove NFT contract " + cw721,
+      options
+    );
+    // Tx result
+    return Ok(tx, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+/**
+ * Withdraw funds from the contract (e.g. accrued marketplace fees); caller must be `admin`
+ * @param {Number} amount : Amount to withdraw, in aarch precision (or in the cw20's atomic units)
+ * @param {String} payment_token? : (Optional) Contract address of a cw20 to withdraw; `null` withdraws native ARCH (default)
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ simulate, gasMultiplier, errors }`
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
+ */
+async function Withdraw(amount, payment_token = null, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    if (!/^\d+$/.test(String(amount)) || BigInt(amount) <= BigInt(0)) {
+      throw new InvalidInputError("Invalid amount " + amount + ": expected a positive integer of atomic units");
+    }
+    if (payment_token) CheckAddress(payment_token, client);
+    let config = await Config(client, { errors: ErrorMode.THROW });
+    await CheckAdmin(client, config);
+    // Msg.
+    let entrypoint = {
+      withdraw: {
+        amount: String(amount),
+        payment_token: payment_token
+      }
+    };
+    // Broadcast tx
+    let tx = await Broadcast(
+      client,
+      [{ contractAddress: ContractAddress(client, 'marketplace'), msg: entrypoint }],
+      "Withdraw " + await FormatPrice(amount, payment_token, client),
+      options
+    );
+    // Tx result
+    return Ok(tx, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
 
 const Query = {
   Config,
@@ -931,7 +1269,78 @@ const Execute = {
   FinishCw20,
   Cancel,
   Update,
+  CreateMany,
+  CancelMany,
+  UpdateMany,
 };
 
+const Admin = {
+  UpdateConfig,
+  AddNft,
+  RemoveNft,
+  Withdraw,
+  ConfigDiff,
+};
+
+// Position of the `client` argument of each helper; it's always followed by `options`
+const CLIENT_ARGUMENTS = {
+  Config: 0,
+  List: 2,
+  Details: 1,
+  SwapsOf: 4,
+  GetTotal: 1,
+  GetOffers: 2,
+  GetListings: 2,
+  ListingsOfToken: 5,
+  SwapsByPrice: 5,
+  SwapsByDenom: 4,
+  SwapsByPaymentType: 4,
+  CreateNative: 5,
+  CreateCw20: 7,
+  FinishNative: 2,
+  FinishCw20: 3,
+  Cancel: 1,
+  Update: 3,
+  CreateMany: 1,
+  CancelMany: 1,
+  UpdateMany: 1,
+  UpdateConfig: 1,
+  AddNft: 1,
+  RemoveNft: 1,
+  Withdraw: 2
+};
+
+function bind(helpers, session) {
+  let bound = {};
+  Object.entries(helpers).forEach(([name, helper]) => {
+    let index = CLIENT_ARGUMENTS[name];
+    bound[name] = (index === undefined) ? helper : async (...args) => {
+      if (!args[index]) args[index] = await session.Client();
+      return helper(...args);
+    };
+  });
+  return bound;
+}
+
+/**
+ * Marketplace helpers bound to a session: helpers called without a client use the session's client, so the
+ * wallet is connected once and shared by all of them
+ *
+ *    const marketplace = Marketplace(Session(LeapWallet()));
+ *    const swap = await marketplace.Query.Details("swap1");
+ *    await marketplace.Execute.FinishNative("swap1", swap);
+ *
+ * @param {Object} session : A `Session` (see `util/client.js`)
+ * @returns {Object} : `{ Query, Execute, Admin, session }`, with the same helpers as the module's exports
+ */
+function Marketplace(session) {
+  return {
+    Query: bind(Query, session),
+    Execute: bind(Execute, session),
+    Admin: bind(Admin, session),
+    session: session
+  };
+}
+
 // Export
-export { Query, Execute }
+export { Query, Execute, Admin, Marketplace }
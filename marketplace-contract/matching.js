@@ -0,0 +1,159 @@
+/* global BigInt */
+import { coin } from "@cosmjs/stargate";
+import { Client } from '../util/client.js';
+import { All } from '../util/pagination.js';
+import { ContractAddress } from "../util/networks.js";
+import { FormatPrice } from "../util/tokens.js";
+import { Cw20Allowance } from "../util/preflight.js";
+import { Broadcast } from "../util/tx.js";
+import { IsExpired } from '../util/time.js';
+import { ErrorMode, SwapNotFoundError, InvalidInputError, Ok, Fail } from '../util/errors.js';
+import { Execute } from './marketplace.js';
+import { Iterate } from './iterators.js';
+import { Validate } from './validity.js';
+import { WithIds } from './ids.js';
+
+const SALE = "Sale";
+const OFFER = "Offer";
+
+/**
+ * Accept the best offer on an NFT of the sender: the highest offer that hasn't expired and that its creator can pay for
+ * (see `Validate`).
+ * If the marketplace isn't approved to transfer the NFT, the approval is added to the same tx
+ * @param {String} token_id : ID of the token
+ * @param {String} cw721? : (Optional) Contract address of the collection; defaults to the network's cw721 contract
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ minPrice, payment_token, simulate, gasMultiplier, errors }`; `minPrice` is
+ * the lowest acceptable price, in atomic units, and `payment_token` accepts only offers of a cw20 (or `null` for native ARCH).
+ * Offers of different payment tokens can't be compared, so `payment_token` is required if the token has offers in several
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
+ * @see FinishNative
+ * @see FinishCw20
+ */
+async function AcceptBestOffer(token_id, cw721 = null, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    if (!cw721) cw721 = ContractAddress(client, 'cw721');
+    let accounts = await client.offlineSigner.getAccounts();
+    let height = await client.wasmClient.getHeight();
+    // Offers
+    let offers = (await All(Iterate.ListingsOfToken(token_id, cw721, OFFER, client)))
+      .filter((offer) => offer.creator !== accounts[0].address && !IsExpired(offer.expires, { height: height }));
+    if (options.payment_token !== undefined) {
+      offers = offers.filter((offer) => (offer.payment_token || null) === options.payment_token);
+    }
+    if (new Set(offers.map((offer) => offer.payment_token || null)).size > 1) {
+      throw new InvalidInputError("Offers on token " + token_id + " use several payment tokens; choose one with `options.payment_token`");
+    }
+    offers.sort((a, b) => (BigInt(b.price) > BigInt(a.price)) ? 1 : (BigInt(b.price) < BigInt(a.price)) ? -1 : 0);
+    // Best offer
+    let best = null;
+    for (const offer of offers) {
+      // Slippage guard
+      if (options.minPrice && BigInt(offer.price) < BigInt(options.minPrice)) break;
+      if ((await Validate(offer, client, { height: height })).valid) {
+        best = offer;
+        break;
+      }
+    }
+    if (!best) {
+      let payment_token = (offers.length) ? offers[0].payment_token : options.payment_token;
+      let min = (options.minPrice) ? " of at least " + await FormatPrice(options.minPrice, payment_token || null, client) : "";
+      throw new SwapNotFoundError("No valid offer" + min + " on token " + token_id);
+    }
+    // Paged swaps have no ids
+    [best] = await WithIds([best], client, { errors: ErrorMode.THROW });
+    if (!best.id) throw new SwapNotFoundError("The best offer on token " + token_id + " no longer exists");
+    // Finish
+    let finish = Object.assign({}, options, { cw721: cw721, preflight: true, errors: ErrorMode.THROW });
+    let tx = (best.payment_token)
+      ? await Execute.FinishCw20(best.id, best, '', client, finish)
+      : await Execute.FinishNative(best.id, best, client, finish);
+    // Tx result
+    return Ok(tx, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+/**
+ * Buy the cheapest listings of a collection in a single tx. Listings are checked before they're bought (see `Validate`):
+ * they must not have expired, and their creator must still own the NFT and have approved the marketplace. For cw20 listings, the missing
+ * allowance for the total price is added to the same tx
+ * @param {String} cw721 : Contract address of the collection
+ * @param {Number} count : Amount of NFTs to buy
+ * @param {String|Number} maxTotal : Budget; the max. total price of all bought NFTs, in atomic units
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {ExecuteOptions} options? : (Optional) `{ maxPrice, payment_token, partial, allowanceExpires, simulate, gasMultiplier, errors }`;
+ * `maxPrice` is the highest acceptable price of a single NFT, `payment_token` the cw20 to pay with (default `null`, native ARCH),
+ * `partial` (default true) buys fewer than `count` NFTs if not enough listings are within budget, and `allowanceExpires`
+ * renews an expired cw20 allowance
+ * @returns {ExecuteResult} : Returns success or error result, or the tx simulation if `options.simulate` is true
+ */
+async function SweepFloor(cw721, count, maxTotal, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    if (!cw721) cw721 = ContractAddress(client, 'cw721');
+    let marketplace = ContractAddress(client, 'marketplace');
+    let payment_token = options.payment_token || null;
+    let accounts = await client.offlineSigner.getAccounts();
+    let height = await client.wasmClient.getHeight();
+    // Listings, cheapest first
+    let sales = (await All(Iterate.SwapsByDenom(payment_token, SALE, client)))
+      .filter((sale) => sale.nft_contract == cw721 && sale.creator !== accounts[0].address)
+      .filter((sale) => !IsExpired(sale.expires, { height: height }));
+    sales.sort((a, b) => (BigInt(a.price) > BigInt(b.price)) ? 1 : (BigInt(a.price) < BigInt(b.price)) ? -1 : 0);
+    // Budget and slippage guards
+    let picked = [];
+    let total = BigInt(0);
+    for (const sale of sales) {
+      if (picked.length >= count) break;
+      let price = BigInt(sale.price);
+      if (options.maxPrice && price > BigInt(options.maxPrice)) break;
+      if (total + price > BigInt(maxTotal)) break;
+      if (!(await Validate(sale, client, { height: height })).valid) continue;
+      picked.push(sale);
+      total += price;
+    }
+    if (!picked.length || (picked.length < count && options.partial === false)) {
+      throw new SwapNotFoundError(
+        "Found " + picked.length + " of " + count + " valid listings of " + cw721 + " within "
+        + await FormatPrice(maxTotal, payment_token, client)
+      );
+    }
+    // Paged swaps have no ids
+    picked = await WithIds(picked, client, { errors: ErrorMode.THROW });
+    if (picked.some((sale) => !sale.id)) throw new SwapNotFoundError("Some listings of " + cw721 + " no longer exist");
+    // Msgs.
+    let instructions = (payment_token)
+      ? await Cw20Allowance(payment_token, total, accounts[0].address, marketplace, client, options.allowanceExpires)
+      : [];
+    picked.forEach((sale) => {
+      instructions.push({
+        contractAddress: marketplace,
+        msg: {
+          finish: {
+            id: sale.id,
+            cw721: cw721,
+            payment_token: payment_token,
+            token_id: sale.token_id,
+            expires: sale.expires,
+            price: sale.price,
+            swap_type: SALE
+          }
+        },
+        funds: (payment_token) ? [] : [coin(String(sale.price), client.chainInfo.currencies[0].coinMinimalDenom)]
+      });
+    });
+    // Broadcast tx
+    let memo = "Sweep " + picked.length + " NFTs for " + await FormatPrice(total, payment_token, client);
+    let tx = await Broadcast(client, instructions, memo, options);
+    // Tx result
+    return Ok(tx, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+// Export
+export { AcceptBestOffer, SweepFloor }
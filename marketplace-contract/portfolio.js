@@ -0,0 +1,92 @@
+import { Client } from '../util/client.js';
+import { Cursor, All } from '../util/pagination.js';
+import { ContractAddress } from "../util/networks.js";
+import { ErrorMode, Ok, Fail } from '../util/errors.js';
+import { IsExpired } from '../util/time.js';
+import { Query as Cw721 } from '../cw721-contract/cw721.js';
+import { Query } from './marketplace.js';
+import { Iterate } from './iterators.js';
+
+const THROW = { errors: ErrorMode.THROW };
+
+const SALE = "Sale";
+const OFFER = "Offer";
+
+/**
+ * @typedef {Object} PortfolioToken
+ * @property {String} cw721 : Contract address of the collection
+ * @property {String} token_id : ID of the token
+ * @property {Object|null} listing : The owner's 'Sale' swap of the token, or `null` if it isn't listed
+ * @property {String|null} price : Price of the listing
+ * @property {String|null} payment_token : Payment token of the listing; `null` for native ARCH (or if it isn't listed)
+ * @property {Boolean} approved : `true` if the marketplace is approved to transfer the token (e.g. a listing can be bought)
+ * @property {Array} offers : 'Offer' swaps others have made on the token
+ */
+
+/**
+ * Get the NFTs of a wallet address, across all collections of the marketplace (`Config().cw721`), combined with its swaps
+ * @param {String} address : Wallet address
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing (or query) client
+ * @param {Object} options? : (Optional) `{ expired, errors }`; `expired` includes swaps that have expired (default false),
+ * `errors` is one of `ErrorMode` (see `util/errors.js`)
+ * @returns {Object} : `{ address, tokens, offers, stale }`; `tokens` is an array of `PortfolioToken`, `offers` are the
+ * address's own offers, and `stale` are its listings of NFTs it no longer owns (e.g. NFTs that were
+ * transferred away after being listed), which can't be bought and should be cancelled
+ */
+async function Portfolio(address, client = null, options = {}) {
+  try {
+    if (!client) client = await Client();
+    let marketplace = ContractAddress(client, 'marketplace');
+    let height = await client.wasmClient.getHeight();
+    let active = (swap) => options.expired || !IsExpired(swap.expires, { height: height });
+
+    let config = await Query.Config(client, THROW);
+    let listings = (await All(Iterate.SwapsOf(address, SALE, client))).filter(active);
+    let offers = (await All(Iterate.SwapsOf(address, OFFER, client))).filter(active);
+
+    let owned = new Set();
+    let tokens = [];
+    for (const cw721 of config.cw721 || []) {
+      let ids = await All(Cursor((start, limit) => Cw721.Tokens(address, cw721, start, limit, client), { key: "tokens" }));
+      for (const token_id of ids) {
+        owned.add(cw721 + ":" + token_id);
+        let listing = listings.find((swap) => swap.nft_contract == cw721 && swap.token_id == token_id) || null;
+        let approval = await Cw721.Approval(token_id, marketplace, cw721, client);
+        let received = await All(Iterate.ListingsOfToken(token_id, cw721, OFFER, client));
+        tokens.push({
+          cw721: cw721,
+          token_id: token_id,
+          listing: listing,
+          price: (listing) ? listing.price : null,
+          payment_token: (listing) ? (listing.payment_token || null) : null,
+          approved: !approval.error,
+          offers: received.filter((swap) => swap.creator !== address).filter(active)
+        });
+      }
+    }
+
+    // Listings of collections that are no longer curated aren't in `owned`; check their owner
+    let stale = [];
+    for (const swap of listings) {
+      if (owned.has(swap.nft_contract + ":" + swap.token_id)) continue;
+      if (!(config.cw721 || []).includes(swap.nft_contract)) {
+        let owner = await Cw721.OwnerOf(swap.token_id, swap.nft_contract, client);
+        if (owner.owner == address) continue;
+      }
+      stale.push(swap);
+    }
+
+    let portfolio = {
+      address: address,
+      tokens: tokens,
+      offers: offers,
+      stale: stale
+    };
+    return Ok(portfolio, options);
+  } catch (e) {
+    return Fail(e, options);
+  }
+}
+
+// Export
+export { Portfolio }
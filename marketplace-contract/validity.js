@@ -0,0 +1,100 @@
+/* global BigInt */
+import { ContractAddress } from "../util/networks.js";
+import { IsExpired, HasExpired } from '../util/time.js';
+import { Query as Cw721 } from '../cw721-contract/cw721.js';
+import { Query as Cw20 } from '../cw20-contract/cw20.js';
+
+const SALE = "Sale";
+
+/**
+ * Validity statuses of a swap; only `VALID` swaps can be filled
+ */
+const Validity = {
+  VALID: "valid",
+  EXPIRED: "expired",
+  // 'Sale' swaps
+  NOT_OWNER: "not_owner",
+  NOT_APPROVED: "not_approved",
+  // 'Offer' swaps
+  INSUFFICIENT_BALANCE: "insufficient_balance",
+  INSUFFICIENT_ALLOWANCE: "insufficient_allowance"
+};
+
+function status(code, reason = null) {
+  return { valid: code == Validity.VALID, status: code, reason: reason };
+}
+
+/**
+ * Check if a swap can be filled. 'Sale' swaps need the creator to still own the NFT and the marketplace to be
+ * approved to transfer it. 'Offer' swaps need the creator to hold at least the offered price, and (for cw20 offers)
+ * to have allowed the marketplace to spend it
+ * @param {Object} swap : A swap from any `Query` function (e.g. `Details`, `GetListings`, `SwapsOf`)
+ * @param {SigningCosmWasmClient} client : instance of signing (or query) client
+ * @param {Object} options? : (Optional) `{ height }`; the current block height, for `at_height` expirations.
+ * Queried if it isn't given
+ * @returns {Object} : `{ valid, status, reason }`; `status` is one of `Validity`, and `reason` describes why a swap is invalid
+ *
+ * Example Return:
+ * {
+ *    "valid": false,
+ *    "status": "insufficient_allowance",
+ *    "reason": "Creator allowed the marketplace to spend 0 of 1000000000000000000"
+ * }
+ */
+async function Validate(swap, client, options = {}) {
+  let marketplace = ContractAddress(client, 'marketplace');
+  let cw721 = swap.nft_contract || swap.contract;
+  let height = options.height;
+  if (!height && swap.expires && swap.expires.at_height !== undefined) height = await client.wasmClient.getHeight();
+  if (IsExpired(swap.expires, { height: height })) return status(Validity.EXPIRED, "Swap expired");
+
+  if (swap.swap_type == SALE) {
+    let owner = await Cw721.OwnerOf(swap.token_id, cw721, client);
+    if (owner.error || owner.owner !== swap.creator) {
+      return status(Validity.NOT_OWNER, "Creator no longer owns token " + swap.token_id);
+    }
+    let approval = await Cw721.Approval(swap.token_id, marketplace, cw721, client);
+    if (approval.error) return status(Validity.NOT_APPROVED, "Marketplace is not approved to transfer token " + swap.token_id);
+    return status(Validity.VALID);
+  }
+
+  let price = BigInt(swap.price);
+  if (!swap.payment_token) {
+    let balance = await client.wasmClient.getBalance(swap.creator, client.chainInfo.currencies[0].coinMinimalDenom);
+    if (BigInt(balance.amount) < price) {
+      return status(Validity.INSUFFICIENT_BALANCE, "Creator holds " + balance.amount + " of " + swap.price);
+    }
+    return status(Validity.VALID);
+  }
+  let balance = await Cw20.Balance(swap.payment_token, swap.creator, client);
+  if (balance.error) throw balance.error;
+  if (BigInt(balance.balance) < price) {
+    return status(Validity.INSUFFICIENT_BALANCE, "Creator holds " + balance.balance + " of " + swap.price);
+  }
+  let allowance = await Cw20.Allowance(swap.payment_token, swap.creator, marketplace, client);
+  if (allowance.error) throw allowance.error;
+  let expired = (height) ? IsExpired(allowance.expires, { height: height }) : await HasExpired(allowance.expires, client);
+  let allowed = (expired) ? "0" : allowance.allowance;
+  if (BigInt(allowed) < price) {
+    return status(Validity.INSUFFICIENT_ALLOWANCE, "Creator allowed the marketplace to spend " + allowed + " of " + swap.price);
+  }
+  return status(Validity.VALID);
+}
+
+/**
+ * Keep the swaps that can be filled (see `Validate`), e.g. of a `GetListings` or `GetOffers` result
+ * @param {Array} swaps : Swaps from any `Query` function
+ * @param {SigningCosmWasmClient} client : instance of signing (or query) client
+ * @returns {Array} : Returns the valid swaps, in order
+ */
+async function Fillable(swaps, client) {
+  let height = await client.wasmClient.getHeight();
+  let fillable = [];
+  for (const swap of swaps) {
+    if ((await Validate(swap, client, { height: height })).valid) fillable.push(swap);
+  }
+  return fillable;
+}
+
+// Export
+export { Validity, Validate, Fillable }
@@ -0,0 +1,290 @@
+import { coin } from "@cosmjs/stargate";
+import { Client } from '../util/client.js';
+import { FormatPrice } from "../util/tokens.js";
+import { ContractAddress } from "../util/networks.js";
+import { NftApproval } from "../util/preflight.js";
+
+// Queries
+
+/**
+ * Query minter config, which returns the minting and revealing parameters of the collection
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {QueryResult} : Returns the Config of the minting contract, or `{ error }` if the query failed
+ *
+ * Example Return:
+ * {
+ *    "owner": "archway1f395p0gg67mmfd5zcqvpnp9cxnu0hg6r9hfczq",   // An admin who can change this configuration
+ *    "cw721": "archway1cf5rq0amcl5m2flqrtl4gw2mdl3zdec9vlp5hfa9hgxlwnmrlazsdycu4l", // NFT contract
+ *    "artist": "archway1kjtmkagp4fz7tx9nsu5a2xfnz6m50nudp2u6g9",  // Receives founders NFTs and withdraws minting funds
+ *    "supply": 1000,                   // Max possible mints
+ *    "whitelist_allowance": 2,         // Max NFTs that can be minted by `whitelist` members
+ *    "whitelist": ["archway1..."],     // Whitelisted addresses
+ *    "total_reserved": 10,             // NFTs automatically minted to `artist`
+ *    "total_reserved_founders": 3,     // Reserved NFTs revealed without randomness
+ *    "reveal": false,                  // If false, only whitelist members can mint
+ *    "price": "1000000000000000000",   // Price of minting, in aarch precision
+ *    "name_prefix": "Archie",
+ *    "initialized": true               // If false, no users can mint or reveal
+ * }
+ */
+async function Config(client = null) {
+  if (!client) client = await Client();
+  try {
+    let entrypoint = {
+      config: {}
+    };
+
+    let query = await client.wasmClient.queryClient.wasm.queryContractSmart(
+      ContractAddress(client, 'minter'),
+      entrypoint
+    );
+    return query;
+  } catch(e) {
+    console.error(e);
+    return { error: e };
+  }
+}
+
+// Txs
+
+/**
+ * Mint an NFT; the minting `price` from the contract's Config is attached as funds.
+ * If `reveal` is false, tx sender must be a member of `whitelist`. Fails if minting would exceed `supply`.
+ * @param {Object} config? : (Optional) A minter config object; can be loaded from `Config` entry point
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result; the error of `Config`, if it couldn't be loaded
+ * @see Config
+ */
+async function Mint(config = null, client = null) {
+  if (!client) client = await Client();
+  if (!config) config = await Config(client);
+  if (config.error) return { error: String(config.error) };
+
+  try {
+    // Msg.
+    let entrypoint = {
+      mint: {}
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Minting cost
+    let funds = (config.price && config.price !== "0") ? [coin(String(config.price), client.chainInfo.currencies[0].coinMinimalDenom)] : [];
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      ContractAddress(client, 'minter'),
+      entrypoint,
+      client.fees,
+      "Mint NFT for " + await FormatPrice(config.price || 0, null, client),
+      funds
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+/**
+ * Reveal the metadata of a minted NFT. If the minting contract hasn't been approved to make
+ * changes to the NFT, a cw721 `Approve` msg is sent in the same tx, before the `Reveal` msg.
+ * Fails if tx sender does not own `token_id`.
+ * @param {String} token_id : ID of the token to be revealed
+ * @param {Object} config? : (Optional) A minter config object; can be loaded from `Config` entry point
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result; the error of `Config`, if it couldn't be loaded
+ * @see Config
+ */
+async function Reveal(token_id, config = null, client = null) {
+  if (!client) client = await Client();
+  if (!config) config = await Config(client);
+  if (config.error) return { error: String(config.error) };
+
+  try {
+    let minter = ContractAddress(client, 'minter');
+    // Msgs.
+    let instructions = await NftApproval(token_id, config.cw721, minter, client);
+    instructions.push({
+      contractAddress: minter,
+      msg: {
+        reveal: {
+          token_id: token_id
+        }
+      }
+    });
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.executeMultiple(
+      accounts[0].address,
+      instructions,
+      client.fees,
+      "Reveal " + token_id
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+/**
+ * Withdraw funds accrued from minting; caller must be `artist`
+ * @param {Number} amount : Amount to withdraw, in aarch precision
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ */
+async function Withdraw(amount, client = null) {
+  if (!client) client = await Client();
+
+  try {
+    // Msg.
+    let entrypoint = {
+      withdraw: {
+        amount: String(amount)
+      }
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      ContractAddress(client, 'minter'),
+      entrypoint,
+      client.fees,
+      "Withdraw " + await FormatPrice(amount, null, client)
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+/**
+ * Update the contract's configuration parameters; caller must be `owner`
+ * @param {Object} config : A full `State` struct; its properties are identical to the response of `Config`
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ * @see Config
+ */
+async function UpdateConfig(config, client = null) {
+  if (!client) client = await Client();
+
+  try {
+    // Msg.
+    let entrypoint = {
+      update_config: {
+        config: config
+      }
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      ContractAddress(client, 'minter'),
+      entrypoint,
+      client.fees,
+      "Update minter config"
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+/**
+ * Enable minting and mint all reserved NFTs to the `artist` account; caller must be `owner`
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ */
+async function Initialize(client = null) {
+  if (!client) client = await Client();
+
+  try {
+    // Msg.
+    let entrypoint = {
+      initialize: {}
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      ContractAddress(client, 'minter'),
+      entrypoint,
+      client.fees,
+      "Initialize minter"
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+/**
+ * Enable revealing metadata and expire whitelist minting (e.g. public minting begins); caller must be `owner`
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {ExecuteResult} : Returns success or error result
+ */
+async function EnableReveal(client = null) {
+  if (!client) client = await Client();
+
+  try {
+    // Msg.
+    let entrypoint = {
+      enable_reveal: {}
+    };
+    // Sender
+    let accounts = await client.offlineSigner.getAccounts();
+    // Broadcast tx
+    let tx = await client.wasmClient.execute(
+      accounts[0].address,
+      ContractAddress(client, 'minter'),
+      entrypoint,
+      client.fees,
+      "Enable reveal"
+    );
+    // Tx result
+    return tx;
+  } catch (e) {
+    console.error(e);
+    return {
+      error: String(e)
+    };
+  }
+}
+
+const Query = {
+  Config
+};
+
+const Execute = {
+  Mint,
+  Reveal,
+  Withdraw,
+  UpdateConfig,
+  Initialize,
+  EnableReveal,
+};
+
+// Export
+export { Query, Execute }
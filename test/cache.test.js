@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Query, Execute } from "../marketplace-contract/marketplace.js";
+import { QueryCache, FileStorage, CachedQuery, UseCache } from "../util/cache.js";
+
+const alice = MockAddress("alice");
+const bob = MockAddress("bob");
+
+// A client of bob that counts its queries, by query name
+function counted(mock) {
+  const client = mock.Client(bob);
+  const query = client.wasmClient.queryClient.wasm.queryContractSmart;
+  const counts = {};
+  client.wasmClient.queryClient.wasm.queryContractSmart = (contract, msg) => {
+    let name = Object.keys(msg)[0];
+    counts[name] = (counts[name] || 0) + 1;
+    return query(contract, msg);
+  };
+  return { client, counts };
+}
+
+test("cached results expire after their ttl", async (t) => {
+  let now = 1000000;
+  t.mock.method(Date, "now", () => now);
+  const mock = MockMarketplace();
+  const { client, counts } = counted(mock);
+  const cache = QueryCache({ ttl: { config: 5000 } });
+
+  await Query.Config(client, { cache });
+  await Query.Config(client, { cache });
+  assert.equal(counts.config, 1);
+
+  now += 4999;
+  await Query.Config(client, { cache });
+  assert.equal(counts.config, 1);
+  now += 1;
+  await Query.Config(client, { cache });
+  assert.equal(counts.config, 2);
+
+  // Per call ttl, and no caching with 0 or `cache: false`
+  await Query.GetTotal("Sale", client, { cache, ttl: 0 });
+  await Query.GetTotal("Sale", client, { cache });
+  await Query.GetTotal("Sale", client, { cache: false });
+  assert.equal(counts.get_total, 3);
+});
+
+test("UseCache sets the cache of queries without options.cache", async () => {
+  const mock = MockMarketplace();
+  const { client, counts } = counted(mock);
+  try {
+    UseCache(QueryCache());
+    await CachedQuery(client, 'marketplace', { config: {} });
+    await Query.Config(client);
+    assert.equal(counts.config, 1);
+  } finally {
+    UseCache(null);
+  }
+  await Query.Config(client);
+  assert.equal(counts.config, 2);
+});
+
+test("txs only invalidate the cached queries of their swaps", async () => {
+  const mock = MockMarketplace();
+  const carol = MockAddress("carol");
+  mock.Mint("1", alice);
+  mock.Mint("2", carol);
+  const cache = QueryCache();
+  await Execute.CreateNative("swap1", "1", "7d", "100", "Sale", mock.Client(alice), { preflight: true, cache });
+  await Execute.CreateNative("swap2", "2", "7d", "200", "Sale", mock.Client(carol), { preflight: true, cache });
+
+  const { client, counts } = counted(mock);
+  const queries = async () => {
+    await Query.Details("swap1", client, { cache });
+    await Query.Details("swap2", client, { cache });
+    await Query.SwapsOf(alice, "Sale", 0, 10, client, { cache });
+    await Query.SwapsOf(carol, "Sale", 0, 10, client, { cache });
+    await Query.ListingsOfToken("1", null, null, 0, 10, client, { cache });
+    await Query.ListingsOfToken("2", null, null, 0, 10, client, { cache });
+    await Query.GetListings(0, 10, client, { cache });
+    await Query.GetTotal("Sale", client, { cache });
+  };
+  await queries();
+  await queries();
+  assert.deepEqual(counts, { details: 2, swaps_of: 2, listings_of_token: 2, get_listings: 1, get_total: 1 });
+
+  // An update of swap1 (alice, token "1")
+  await Execute.Update("swap1", "1d", "150", mock.Client(alice), { cache });
+  await queries();
+  assert.deepEqual(counts, { details: 3, swaps_of: 3, listings_of_token: 3, get_listings: 2, get_total: 1 });
+  assert.equal((await Query.Details("swap1", client, { cache })).price, "150");
+
+  // Cancelling swap2 changes the total
+  await Execute.Cancel("swap2", mock.Client(carol), { cache });
+  await queries().catch(() => {});
+  assert.equal(counts.get_total, 1);
+  await Query.GetTotal("Sale", client, { cache });
+  assert.equal(counts.get_total, 2);
+});
+
+test("FileStorage keeps cached results across instances", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "proj-nft-cache-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "cache.json");
+
+  const first = QueryCache({ storage: FileStorage(file, fs) });
+  await first.Set("archway1contract", { details: { id: "swap1" } }, { price: "1" });
+  await first.Set("archway1contract", { details: { id: "swap2" } }, { price: "2" });
+  assert.ok(fs.existsSync(file));
+
+  const second = QueryCache({ storage: FileStorage(file, fs) });
+  assert.deepEqual(await second.Get("archway1contract", { details: { id: "swap1" } }), { price: "1" });
+  await second.Invalidate("archway1contract", "details", (params) => params.id == "swap1");
+
+  const third = QueryCache({ storage: FileStorage(file, fs) });
+  assert.equal(await third.Get("archway1contract", { details: { id: "swap1" } }), undefined);
+  assert.deepEqual(await third.Get("archway1contract", { details: { id: "swap2" } }), { price: "2" });
+});
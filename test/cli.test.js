@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Run } from "../cli/commands.js";
+
+const BIN = fileURLToPath(new URL("../cli/proj-nft.js", import.meta.url));
+
+// Runs the real bin with plain Node, as `npx proj-nft` does
+function cli(args) {
+  let env = { ...process.env };
+  delete env.PROJ_NFT_SECRET;
+  return spawnSync(process.execPath, [BIN, ...args], { env: env, encoding: "utf8", timeout: 60000 });
+}
+
+test("bin prints the usage", () => {
+  let run = cli(["--help"]);
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /^Usage: proj-nft <command>/);
+  assert.match(run.stdout, /swap create <token_id>/);
+});
+
+test("bin exits with 2 on unknown commands and options", () => {
+  let unknown = cli(["bogus"]);
+  assert.equal(unknown.status, 2);
+  assert.equal(unknown.stdout, "");
+  assert.match(unknown.stderr, /Usage: proj-nft/);
+
+  let option = cli(["swaps", "list", "--nope"]);
+  assert.equal(option.status, 2);
+  assert.match(option.stderr, /Unknown option '--nope'/);
+});
+
+test("bin fails txs without a signer", () => {
+  let run = cli(["swap", "cancel", "swap1"]);
+  assert.equal(run.status, 1);
+  assert.equal(run.stdout, "");
+  assert.match(run.stderr, /Error \[INVALID_INPUT\]: No signer: pass --key-file, or set PROJ_NFT_SECRET/);
+});
+
+test("bin fails on unknown networks", () => {
+  let run = cli(["config", "--network", "nope"]);
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /Unknown network: nope/);
+});
+
+test("admin update-config keeps --json output parseable", async () => {
+  let mock = MockMarketplace({ fees: 0.1 });
+  let stdout = [], stderr = [];
+  let code = await Run(["admin", "update-config", "--fees", "0.05", "--json", "--yes"], {
+    client: mock.Client(MockAddress("admin")),
+    print: (text) => stdout.push(text),
+    error: (text) => stderr.push(text)
+  });
+  assert.equal(code, 0, stderr.join("\n"));
+  assert.equal(stdout.length, 1);
+  assert.ok(JSON.parse(stdout[0]).transactionHash);
+  assert.ok(stderr.includes("fees: 0.1 -> 0.05"));
+  assert.equal(mock.State().config.fees, 0.05);
+});
+
+test("swaps list only looks up ids with --ids", async () => {
+  let mock = MockMarketplace();
+  let alice = MockAddress("alice");
+  mock.Mint("1", alice);
+  await Run(["swap", "create", "1", "--price", "1", "--expires", "7d", "--id", "swap1", "--yes"], {
+    client: mock.Client(alice), print: () => {}, error: () => {}
+  });
+  let client = mock.Client(MockAddress("bob"));
+  let query = client.wasmClient.queryClient.wasm.queryContractSmart, queries = [];
+  client.wasmClient.queryClient.wasm.queryContractSmart = (contract, msg) => {
+    queries.push(Object.keys(msg)[0]);
+    return query(contract, msg);
+  };
+  let list = async (...flags) => {
+    let stdout = [];
+    queries.length = 0;
+    let code = await Run(["swaps", "list", "--json", ...flags], { client: client, print: (text) => stdout.push(text), error: () => {} });
+    assert.equal(code, 0);
+    return JSON.parse(stdout[0]);
+  };
+
+  let [swap] = await list();
+  assert.equal(swap.id, undefined);
+  assert.ok(!queries.includes("details"));
+
+  [swap] = await list("--ids");
+  assert.equal(swap.id, "swap1");
+  assert.ok(queries.includes("details"));
+});
@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Query } from "../cw721-contract/cw721.js";
+
+const alice = MockAddress("alice");
+
+test("ContractInfo returns the collection's name and symbol, or its error", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const mock = MockMarketplace();
+  assert.deepEqual(await Query.ContractInfo(mock.cw721, mock.Client(alice)), { name: "Mock NFTs", symbol: "MOCK" });
+
+  let info = await Query.ContractInfo(MockAddress("missing", 32), mock.Client(alice));
+  assert.ok(info.error instanceof Error);
+  assert.match(info.error.message, /No such contract/);
+});
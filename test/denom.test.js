@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Rounding, FormatAmount, ParseAmount, DisplayAmount } from "../util/denom.js";
+
+test("FormatAmount converts atomic amounts exactly", () => {
+  assert.equal(FormatAmount("1500000000000000000"), "1.5");
+  assert.equal(FormatAmount(BigInt("123456789012345678901234567890")), "123456789012.34567890123456789");
+  assert.equal(FormatAmount("1"), "0.000000000000000001");
+  assert.equal(FormatAmount(1234567, 6), "1.234567");
+  assert.equal(FormatAmount("0"), "0");
+  assert.equal(FormatAmount("-1500000", 6), "-1.5");
+  // Precision isn't increased
+  assert.equal(FormatAmount("1", 6, 10), "0.000001");
+});
+
+test("FormatAmount rounds dropped digits in each Rounding mode", () => {
+  const format = (value, rounding, precision = 2) => FormatAmount(value, 6, precision, rounding);
+  // 1.234567
+  assert.equal(format("1234567", Rounding.DOWN), "1.23");
+  assert.equal(format("1234567", Rounding.UP), "1.24");
+  assert.equal(format("1234567", Rounding.HALF_UP), "1.23");
+  assert.equal(format("1234567", Rounding.HALF_EVEN), "1.23");
+  // Ties: 1.225 and 1.235
+  assert.equal(format("1225000", Rounding.DOWN), "1.22");
+  assert.equal(format("1225000", Rounding.UP), "1.23");
+  assert.equal(format("1225000", Rounding.HALF_UP), "1.23");
+  assert.equal(format("1225000", Rounding.HALF_EVEN), "1.22");
+  assert.equal(format("1235000", Rounding.HALF_EVEN), "1.24");
+  assert.equal(format("2500000", Rounding.HALF_EVEN, 0), "2");
+  assert.equal(format("2500000", Rounding.HALF_UP, 0), "3");
+  // Negative amounts round away from zero, or towards it
+  assert.equal(format("-1225000", Rounding.DOWN), "-1.22");
+  assert.equal(format("-1225000", Rounding.UP), "-1.23");
+  assert.equal(format("-1225000", Rounding.HALF_UP), "-1.23");
+  assert.equal(format("-1", Rounding.DOWN), "0");
+  // Default: down
+  assert.equal(FormatAmount("1999999", 6, 2), "1.99");
+});
+
+test("FormatAmount rejects invalid input", () => {
+  assert.throws(() => FormatAmount("1.5"), SyntaxError);
+  assert.throws(() => FormatAmount("abc"), SyntaxError);
+  assert.throws(() => FormatAmount("1234567", 6, 2, "sideways"), /Unknown rounding mode: sideways/);
+});
+
+test("ParseAmount converts decimal amounts exactly", () => {
+  assert.equal(ParseAmount("1.25"), "1250000000000000000");
+  assert.equal(ParseAmount("0.000000000000000001"), "1");
+  assert.equal(ParseAmount(" 1,000.5 ", 6), "1000500000");
+  assert.equal(ParseAmount("1_000", 6), "1000000000");
+  assert.equal(ParseAmount(1.5, 6), "1500000");
+  assert.equal(ParseAmount(".5", 6), "500000");
+  assert.equal(ParseAmount("5.", 6), "5000000");
+  assert.equal(ParseAmount("0"), "0");
+  assert.equal(ParseAmount("-0.5", 6), "-500000");
+  assert.equal(ParseAmount("-0", 6), "0");
+});
+
+test("ParseAmount rounds fractions longer than the decimals", () => {
+  assert.equal(ParseAmount("1.2345678", 6), "1234567");
+  assert.equal(ParseAmount("1.2345678", 6, Rounding.DOWN), "1234567");
+  assert.equal(ParseAmount("1.2345678", 6, Rounding.UP), "1234568");
+  assert.equal(ParseAmount("1.2345671", 6, Rounding.HALF_UP), "1234567");
+  assert.equal(ParseAmount("1.2345675", 6, Rounding.HALF_UP), "1234568");
+  assert.equal(ParseAmount("1.2345665", 6, Rounding.HALF_EVEN), "1234566");
+  assert.equal(ParseAmount("1.2345675", 6, Rounding.HALF_EVEN), "1234568");
+  assert.equal(ParseAmount("-1.2345671", 6, Rounding.UP), "-1234568");
+  assert.equal(ParseAmount("-1.2345679", 6, Rounding.DOWN), "-1234567");
+  assert.equal(ParseAmount(0.0000001, 6), "0");
+});
+
+test("ParseAmount rejects invalid input", () => {
+  for (const value of ["", " ", ".", "-", "abc", "1.2.3", "1e5", "--1", "1-"]) {
+    assert.throws(() => ParseAmount(value), /Invalid amount/, JSON.stringify(value));
+  }
+  assert.throws(() => ParseAmount("1.2345678", 6, "sideways"), /Unknown rounding mode/);
+});
+
+test("DisplayAmount formats with the separators of a locale", () => {
+  assert.equal(DisplayAmount("1234500000000000000000", 18, { locale: "en-US" }), "1,234.5");
+  assert.equal(DisplayAmount("1234500000000000000000", 18, { locale: "de-DE" }), "1.234,5");
+  assert.equal(DisplayAmount("-1234500000000000000000", 18, { locale: "en-US" }), "-1,234.5");
+  assert.equal(DisplayAmount("0", 18, { locale: "en-US" }), "0");
+  assert.equal(DisplayAmount("1000000", 6, { locale: "en-US", minPrecision: 2 }), "1.00");
+  // Rounded to 4 digits, half up
+  assert.equal(DisplayAmount("1999990", 6, { locale: "en-US" }), "2");
+  assert.equal(DisplayAmount("1999990", 6, { locale: "en-US", rounding: Rounding.DOWN }), "1.9999");
+  assert.equal(DisplayAmount("1234567", 6, { locale: "en-US", precision: 2 }), "1.23");
+  // Negative amounts that round to zero have no sign
+  assert.equal(DisplayAmount("-1", 18, { locale: "en-US" }), "0");
+});
@@ -0,0 +1,179 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WebSocket, WebSocketServer } from "ws";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Subscribe, EventTypes } from "../marketplace-contract/events.js";
+
+// Resolves once `check` returns true, polling every 10 ms
+async function until(check, timeout = 5000) {
+  let start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Tendermint RPC websocket of a chain with the given txs; it answers `subscribe` and `tx_search` requests, and
+ * `Broadcast` sends a tx to the subscribers
+ */
+function MockRpc(marketplace) {
+  const server = new WebSocketServer({ port: 0 });
+  const txs = [];
+  const subscriptions = new Map();
+  const requests = [];
+  let connections = 0;
+
+  function Tx(height, hash, action, id) {
+    return {
+      height: height,
+      hash: hash,
+      events: [{
+        type: "wasm",
+        attributes: [
+          { key: "_contract_address", value: marketplace },
+          { key: "action", value: action },
+          { key: "id", value: id }
+        ]
+      }]
+    };
+  }
+
+  server.on("connection", (socket) => {
+    connections += 1;
+    socket.on("message", (data) => {
+      let request = JSON.parse(String(data));
+      requests.push(request);
+      let result = {};
+      if (request.method == "subscribe") {
+        subscriptions.set(socket, request.id);
+      } else if (request.method == "tx_search") {
+        let from = Number(/tx\.height>=(\d+)/.exec(request.params.query)[1]);
+        let found = txs.filter((tx) => tx.height >= from);
+        let page = Number(request.params.page), perPage = Number(request.params.per_page);
+        result = {
+          txs: found.slice((page - 1) * perPage, page * perPage)
+            .map((tx) => ({ hash: tx.hash, height: String(tx.height), tx_result: { events: tx.events } })),
+          total_count: String(found.length)
+        };
+      }
+      socket.send(JSON.stringify({ jsonrpc: "2.0", id: request.id, result: result }));
+    });
+    socket.on("close", () => subscriptions.delete(socket));
+  });
+
+  return {
+    url: () => "ws://127.0.0.1:" + server.address().port + "/websocket",
+    Tx,
+    // Add a tx to the chain; `live` also sends it to the subscribers
+    Broadcast(tx, live = true) {
+      if (!txs.includes(tx)) txs.push(tx);
+      if (!live) return;
+      subscriptions.forEach((id, socket) => socket.send(JSON.stringify({
+        jsonrpc: "2.0",
+        id: id,
+        result: {
+          data: { type: "tendermint/event/Tx", value: { TxResult: { height: String(tx.height), result: { events: tx.events } } } },
+          events: { "tx.hash": [tx.hash] }
+        }
+      })));
+    },
+    // Drop all connections, as a node restart does
+    Disconnect: () => server.clients.forEach((socket) => socket.terminate()),
+    Subscribed: () => subscriptions.size,
+    Connections: () => connections,
+    Requests: () => requests,
+    Close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+test("Subscribe reconnects, backfills missed txs and skips duplicates", async () => {
+  const mock = MockMarketplace();
+  const rpc = MockRpc(mock.marketplace);
+  const events = Subscribe(mock.Client(MockAddress("alice")), { url: rpc.url(), WebSocket: WebSocket, delay: 10, maxDelay: 50 });
+  const received = [];
+  events.On("*", (event) => received.push([event.type, event.id, event.height, event.backfill]));
+
+  try {
+    await events.Start();
+    await until(() => rpc.Subscribed() == 1);
+
+    // Live
+    rpc.Broadcast(rpc.Tx(10, "A", "create", "swap1"));
+    await until(() => received.length == 1);
+
+    // Missed while disconnected
+    rpc.Disconnect();
+    await until(() => rpc.Subscribed() == 0);
+    rpc.Broadcast(rpc.Tx(11, "B", "finish", "swap1"), false);
+    rpc.Broadcast(rpc.Tx(11, "C", "create", "swap2"), false);
+
+    // Reconnected, and backfilled from the height of the last event
+    await until(() => received.length == 3);
+    assert.equal(rpc.Connections(), 2);
+    let search = rpc.Requests().find((request) => request.method == "tx_search");
+    assert.match(search.params.query, /tx\.height>=10$/);
+
+    // Txs of the backfill sent again live, and a new tx
+    rpc.Broadcast(rpc.Tx(11, "C", "create", "swap2"));
+    rpc.Broadcast(rpc.Tx(12, "D", "cancel", "swap2"));
+    await until(() => received.length == 4);
+
+    assert.deepEqual(received, [
+      [EventTypes.CREATED, "swap1", 10, false],
+      [EventTypes.FINISHED, "swap1", 11, true],
+      [EventTypes.CREATED, "swap2", 11, true],
+      [EventTypes.CANCELLED, "swap2", 12, false]
+    ]);
+    assert.equal(events.Height(), 12);
+  } finally {
+    events.Stop();
+    await rpc.Close();
+  }
+});
+
+test("Subscribe backfills txs missed before its first event", async () => {
+  const mock = MockMarketplace();
+  const rpc = MockRpc(mock.marketplace);
+  const events = Subscribe(mock.Client(MockAddress("alice")), { url: rpc.url(), WebSocket: WebSocket, delay: 10, maxDelay: 50 });
+  const received = [];
+  events.On("*", (event) => received.push([event.type, event.id, event.height, event.backfill]));
+
+  try {
+    await events.Start();
+    await until(() => events.Height() !== null);
+    let start = events.Height();
+    assert.equal(start, mock.Height());
+
+    rpc.Disconnect();
+    await until(() => rpc.Subscribed() == 0);
+    rpc.Broadcast(rpc.Tx(start + 1, "A", "create", "swap1"), false);
+
+    await until(() => received.length == 1);
+    assert.deepEqual(received, [[EventTypes.CREATED, "swap1", start + 1, true]]);
+    let search = rpc.Requests().find((request) => request.method == "tx_search");
+    assert.match(search.params.query, new RegExp("tx\\.height>=" + start + "$"));
+  } finally {
+    events.Stop();
+    await rpc.Close();
+  }
+});
+
+test("Subscribe backfills from options.fromHeight on the first connection", async () => {
+  const mock = MockMarketplace();
+  const rpc = MockRpc(mock.marketplace);
+  rpc.Broadcast(rpc.Tx(5, "A", "create", "swap1"), false);
+  rpc.Broadcast(rpc.Tx(8, "B", "update", "swap1"), false);
+  const events = Subscribe(mock.Client(MockAddress("alice")), { url: rpc.url(), WebSocket: WebSocket, fromHeight: 6 });
+  const received = [];
+  events.On(EventTypes.UPDATED, (event) => received.push([event.id, event.height, event.backfill]));
+
+  try {
+    await events.Start();
+    await until(() => received.length == 1);
+    assert.deepEqual(received, [["swap1", 8, true]]);
+  } finally {
+    events.Stop();
+    await rpc.Close();
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Execute } from "../marketplace-contract/marketplace.js";
+import { SweepFloor } from "../marketplace-contract/matching.js";
+import { Trades, DecodeTrades, Analytics } from "../marketplace-contract/history.js";
+
+const alice = MockAddress("alice");
+const bob = MockAddress("bob");
+const carol = MockAddress("carol");
+
+// Listings of NFTs "1" and "2" by alice and "3" by carol, for 100, 200 and 300; bob sweeps them in a single tx
+async function sweep() {
+  const mock = MockMarketplace({ fees: 0.1 });
+  ["1", "2"].forEach((token_id) => mock.Mint(token_id, alice));
+  mock.Mint("3", carol);
+  mock.Fund(bob, "1000");
+  await Execute.CreateNative("s1", "1", "7d", "100", "Sale", mock.Client(alice), { preflight: true });
+  await Execute.CreateNative("s2", "2", "7d", "200", "Sale", mock.Client(alice), { preflight: true });
+  await Execute.CreateNative("s3", "3", "7d", "300", "Sale", mock.Client(carol), { preflight: true });
+  await SweepFloor(mock.cw721, 3, "600", mock.Client(bob));
+  return mock;
+}
+
+// Events of a native payout of the marketplace, without its own `seller` attributes
+function payout(mock, recipient, amount, msg_index = null) {
+  let tag = (msg_index === null) ? [] : [{ key: "msg_index", value: String(msg_index) }];
+  return [
+    { type: "wasm", attributes: [{ key: "_contract_address", value: mock.marketplace }, { key: "action", value: "finish" }, ...tag] },
+    { type: "transfer", attributes: [{ key: "recipient", value: recipient }, { key: "sender", value: mock.marketplace }, { key: "amount", value: amount + "aarch" }, ...tag] }
+  ];
+}
+
+test("Trades decodes each trade of a multi-finish tx", async () => {
+  const mock = await sweep();
+  let trades = await Trades(mock.Client(bob));
+
+  assert.deepEqual(trades.map((trade) => [trade.id, trade.price, trade.buyer, trade.seller]), [
+    ["s1", "100", bob, alice],
+    ["s2", "200", bob, alice],
+    ["s3", "300", bob, carol]
+  ]);
+  assert.ok(trades.every((trade) => trade.cw721 == mock.cw721 && trade.timestamp instanceof Date));
+  assert.equal(new Set(trades.map((trade) => trade.hash)).size, 1);
+});
+
+test("DecodeTrades matches payments to the msgs of a multi-finish tx", async () => {
+  const mock = await sweep();
+  let [tx] = await mock.Client(bob).wasmClient.searchTx("execute._contract_address='" + mock.marketplace + "' AND tx.height>=" + mock.Height());
+  let sellers = (events, fees = 0.1) => DecodeTrades({ ...tx, events: events }, mock.marketplace, fees).map((trade) => trade.seller);
+
+  // Events tagged with their msg index
+  let tagged = [...payout(mock, alice, "90", 0), ...payout(mock, alice, "180", 1), ...payout(mock, carol, "270", 2)];
+  assert.deepEqual(sellers(tagged, null), [alice, alice, carol]);
+
+  // Untagged events, matched by the price less the fee
+  let untagged = [...payout(mock, alice, "90"), ...payout(mock, alice, "180"), ...payout(mock, carol, "270")];
+  assert.deepEqual(sellers(untagged), [alice, alice, carol]);
+  // Unknown fees, or payouts that can't be told apart
+  assert.deepEqual(sellers(untagged, null), [null, null, null]);
+  assert.deepEqual(sellers([...payout(mock, alice, "90"), ...payout(mock, carol, "90")]), [null, null, null]);
+});
+
+test("CollectionStats and LastSales summarize trades", async () => {
+  const mock = await sweep();
+  await Execute.CreateNative("s4", "3", "7d", "50", "Sale", mock.Client(bob), { preflight: true });
+  mock.Fund(carol, "50");
+  await Execute.FinishNative("s4", null, mock.Client(carol));
+  let trades = await Trades(mock.Client(bob));
+
+  assert.deepEqual(Analytics.CollectionStats(trades), {
+    [mock.cw721]: { native: { count: 4, volume: "650", floor: "50", average: "162", last: "50" } }
+  });
+  let last = Analytics.LastSales(trades);
+  assert.deepEqual(Object.keys(last).sort(), ["1", "2", "3"].map((token_id) => mock.cw721 + ":" + token_id));
+  assert.equal(last[mock.cw721 + ":3"].id, "s4");
+  assert.equal(last[mock.cw721 + ":3"].buyer, carol);
+});
+
+test("Window keeps the trades of a time window, and needs timestamps", async () => {
+  const mock = await sweep();
+  let trades = await Trades(mock.Client(bob));
+  assert.equal(Analytics.Window(trades, "1h", mock.Now().getTime() + 1000).length, 3);
+  assert.equal(Analytics.Window(trades, "1h", mock.Now().getTime() + 2 * 60 * 60 * 1000).length, 0);
+
+  let untimed = await Trades(mock.Client(bob), { timestamps: false });
+  assert.throws(() => Analytics.Window(untimed, "1h"), /no timestamp/);
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Execute } from "../marketplace-contract/marketplace.js";
+import { Indexer } from "../marketplace-contract/indexer.js";
+
+const alice = MockAddress("alice");
+
+test("Sync skips swaps that are cancelled between List and Details", async () => {
+  const mock = MockMarketplace();
+  ["1", "2", "3"].forEach((token_id) => mock.Mint(token_id, alice));
+  for (const token_id of ["1", "2", "3"]) {
+    await Execute.CreateNative("swap" + token_id, token_id, "7d", "100", "Sale", mock.Client(alice), { preflight: true });
+  }
+  // Cancel "swap2" once the ids have been listed
+  const client = mock.Client(alice);
+  const query = client.wasmClient.queryClient.wasm.queryContractSmart;
+  client.wasmClient.queryClient.wasm.queryContractSmart = async (contract, msg) => {
+    let result = await query(contract, msg);
+    if (msg.list && result.swaps.includes("swap2")) await Execute.Cancel("swap2", mock.Client(alice));
+    return result;
+  };
+
+  const index = Indexer(client);
+  assert.equal(await index.Sync(), 2);
+  assert.equal(index.Get("swap2"), null);
+  assert.equal(index.Get("swap1").nft_contract, mock.cw721);
+  assert.deepEqual(index.Find({}, { sort: "id" }).map((swap) => swap.id), ["swap1", "swap3"]);
+});
@@ -0,0 +1,254 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Query, Execute, Admin } from "../marketplace-contract/marketplace.js";
+import { FetchAll } from "../marketplace-contract/iterators.js";
+import { NftApproval } from "../util/preflight.js";
+import {
+  ErrorMode,
+  NotApprovedError,
+  SwapExpiredError,
+  SwapNotFoundError,
+  UnauthorizedError,
+  InsufficientFundsError,
+  NftNotWhitelistedError,
+  InvalidInputError
+} from "../util/errors.js";
+
+const ARCH = "1000000000000000000";
+const alice = MockAddress("alice");
+const bob = MockAddress("bob");
+
+// A marketplace with 10% fees, NFTs "1" to "3" of alice, and ARCH and USD (cw20) of bob
+function setup() {
+  const mock = MockMarketplace({ fees: 0.1 });
+  const usd = mock.AddCw20("USD");
+  ["1", "2", "3"].forEach((token_id) => mock.Mint(token_id, alice));
+  mock.Fund(bob, "5" + ARCH.slice(1));
+  mock.Fund(bob, "1000000000", usd);
+  return { mock, usd };
+}
+
+function balance(mock, address) {
+  return (mock.State().bank[address] || {}).aarch || "0";
+}
+
+test("CreateNative lists an NFT, with its approval in the same tx", async () => {
+  const { mock } = setup();
+  await Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { preflight: true });
+
+  let swap = await Query.Details("swap1", mock.Client(bob));
+  assert.equal(swap.creator, alice);
+  assert.equal(swap.contract, mock.cw721);
+  assert.equal(swap.price, ARCH);
+  assert.equal(swap.swap_type, "Sale");
+  assert.equal(await Query.GetTotal("Sale", mock.Client(bob)), 1);
+
+  let listings = await Query.GetListings(0, 10, mock.Client(bob));
+  assert.equal(listings.swaps.length, 1);
+  assert.equal(listings.swaps[0].token_id, "1");
+});
+
+test("FinishNative pays the seller, keeps the fees and transfers the NFT", async () => {
+  const { mock } = setup();
+  await Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { preflight: true });
+  let swap = await Query.Details("swap1", mock.Client(bob));
+  await Execute.FinishNative("swap1", swap, mock.Client(bob));
+
+  let state = mock.State();
+  assert.equal(state.cw721[mock.cw721].tokens["1"].owner, bob);
+  assert.equal(balance(mock, alice), "900000000000000000");
+  assert.equal(balance(mock, mock.marketplace), "100000000000000000");
+  assert.equal(balance(mock, bob), "4" + ARCH.slice(1));
+  assert.deepEqual(state.swaps, {});
+});
+
+test("FinishCw20 accepts an offer paid in cw20 tokens", async () => {
+  const { mock, usd } = setup();
+  await Execute.CreateCw20("offer1", usd, "2", "7d", "500000", '', "Offer", mock.Client(bob), { preflight: true });
+  let offer = await Query.Details("offer1", mock.Client(alice));
+  await Execute.FinishCw20("offer1", offer, '', mock.Client(alice), { preflight: true });
+
+  let state = mock.State();
+  assert.equal(state.cw721[mock.cw721].tokens["2"].owner, bob);
+  assert.equal(state.cw20[usd].balances[alice], "450000");
+  assert.equal(state.cw20[usd].balances[mock.marketplace], "50000");
+  assert.equal(state.cw20[usd].balances[bob], "999500000");
+});
+
+function allowance(mock, cw20, owner) {
+  return mock.State().cw20[cw20].allowances[owner + ":" + mock.marketplace];
+}
+
+test("preflight renews an expired cw20 allowance to the required amount", async () => {
+  const { mock, usd } = setup();
+  let expiring = { spender: mock.marketplace, amount: "100", expires: { at_height: mock.Height() + 1 } };
+  await mock.Client(bob).wasmClient.execute(bob, usd, { increase_allowance: expiring }, "auto");
+  mock.Advance(0, 5);
+
+  // Not without a new expiration
+  await assert.rejects(
+    Execute.CreateCw20("offer1", usd, "2", "7d", "500000", '', "Offer", mock.Client(bob), { preflight: true }),
+    InvalidInputError
+  );
+  let expires = { at_height: mock.Height() + 100 };
+  await Execute.CreateCw20("offer1", usd, "2", "7d", "500000", '', "Offer", mock.Client(bob), { preflight: true, allowanceExpires: expires });
+  assert.deepEqual(allowance(mock, usd, bob), { allowance: "500000", expires: expires });
+
+  let offer = await Query.Details("offer1", mock.Client(alice));
+  await Execute.FinishCw20("offer1", offer, '', mock.Client(alice), { preflight: true });
+  assert.equal(mock.State().cw721[mock.cw721].tokens["2"].owner, bob);
+});
+
+test("preflight decreases a larger expired cw20 allowance", async () => {
+  const { mock, usd } = setup();
+  let expiring = { spender: mock.marketplace, amount: "900000", expires: { at_height: mock.Height() + 1 } };
+  await mock.Client(bob).wasmClient.execute(bob, usd, { increase_allowance: expiring }, "auto");
+  mock.Advance(0, 5);
+
+  await Execute.CreateCw20("offer1", usd, "2", "7d", "500000", '', "Offer", mock.Client(bob), { preflight: true, allowanceExpires: "never" });
+  assert.deepEqual(allowance(mock, usd, bob), { allowance: "500000", expires: { never: {} } });
+});
+
+test("preflight only adds approvals that are missing", async () => {
+  const { mock } = setup();
+  // Failed queries aren't taken for missing approvals
+  await assert.rejects(NftApproval("9", mock.cw721, mock.marketplace, mock.Client(alice)), /does not exist/);
+  let offline = mock.Client(alice);
+  offline.wasmClient.queryClient.wasm.queryContractSmart = async () => { throw new Error("fetch failed"); };
+  await assert.rejects(NftApproval("1", mock.cw721, mock.marketplace, offline), /fetch failed/);
+
+  let simulation = await Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { preflight: true, simulate: true });
+  assert.equal(simulation.instructions.length, 2);
+  await mock.Client(alice).wasmClient.execute(alice, mock.cw721, { approve: { spender: mock.marketplace, token_id: "1", expires: null } }, "auto");
+  simulation = await Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { preflight: true, simulate: true });
+  assert.equal(simulation.instructions.length, 1);
+});
+
+test("paged queries take a limit less than 100", async () => {
+  const { mock } = setup();
+  await Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { preflight: true });
+
+  let listings = await FetchAll.GetListings(mock.Client(bob));
+  assert.deepEqual(listings.map((swap) => swap.token_id), ["1"]);
+  await assert.rejects(Query.GetListings(0, 100, mock.Client(bob)), /less than 100/);
+});
+
+test("Cancel and Update are restricted to the swap's creator", async () => {
+  const { mock } = setup();
+  await Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { preflight: true });
+
+  await assert.rejects(Execute.Cancel("swap1", mock.Client(bob)), UnauthorizedError);
+  await assert.rejects(Execute.Update("swap1", "1d", "1", mock.Client(bob)), UnauthorizedError);
+
+  await Execute.Update("swap1", "1d", "2" + ARCH.slice(1), mock.Client(alice));
+  assert.equal((await Query.Details("swap1", mock.Client(bob))).price, "2" + ARCH.slice(1));
+
+  await Execute.Cancel("swap1", mock.Client(alice));
+  await assert.rejects(Query.Details("swap1", mock.Client(bob)), SwapNotFoundError);
+});
+
+test("CreateMany, UpdateMany and CancelMany change many swaps", async () => {
+  const { mock } = setup();
+  let swaps = ["1", "2", "3"].map((token_id) => ({ id: "swap" + token_id, token_id: token_id, expiration: "7d", price: ARCH }));
+  await Execute.CreateMany(swaps, mock.Client(alice), { preflight: true });
+  assert.equal(await Query.GetTotal("Sale", mock.Client(bob)), 3);
+
+  await Execute.UpdateMany([{ id: "swap1", expiration: "1d", price: "5" }, { id: "swap2", expiration: "1d", price: "6" }], mock.Client(alice));
+  assert.equal((await Query.Details("swap1", mock.Client(bob))).price, "5");
+  assert.equal((await Query.Details("swap2", mock.Client(bob))).price, "6");
+
+  await Execute.CancelMany(["swap1", "swap3"], mock.Client(alice));
+  assert.deepEqual(Object.keys(mock.State().swaps), ["swap2"]);
+});
+
+test("a failed batch tx keeps the results of the txs before it", async () => {
+  const { mock } = setup();
+  let swaps = ["1", "2", "3"].map((token_id) => ({ id: "swap" + token_id, token_id: token_id, expiration: "7d", price: ARCH }));
+  await Execute.CreateMany(swaps, mock.Client(alice), { preflight: true });
+
+  // One cancel per tx; the connection drops at the third tx
+  let client = mock.Client(alice);
+  let executeMultiple = client.wasmClient.executeMultiple, sent = 0;
+  client.wasmClient.executeMultiple = (...args) => {
+    if (++sent == 3) throw new Error("fetch failed");
+    return executeMultiple(...args);
+  };
+  let error = await Execute.CancelMany(["swap1", "swap2", "swap3"], client, { gasLimit: 200000 }).catch((e) => e);
+  assert.match(error.message, /fetch failed/);
+  assert.equal(error.broadcast, 2);
+  assert.equal(error.results.length, 2);
+  assert.ok(error.results.every((tx) => tx.transactionHash));
+  assert.deepEqual(Object.keys(mock.State().swaps), ["swap3"]);
+});
+
+test("failed txs throw typed errors and leave the state unchanged", async () => {
+  const { mock } = setup();
+  let before = mock.State();
+
+  // No approval, and no preflight
+  await assert.rejects(Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice)), NotApprovedError);
+  // Not the owner
+  await assert.rejects(Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(bob), { preflight: true }), UnauthorizedError);
+  // Collection isn't curated
+  let other = mock.AddCw721("Other", "OTH", false);
+  mock.Mint("1", alice, {}, other);
+  await assert.rejects(
+    Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { preflight: true, cw721: other }),
+    NftNotWhitelistedError
+  );
+  assert.deepEqual(mock.State().swaps, before.swaps);
+
+  // Not enough funds
+  await Execute.CreateNative("swap1", "1", "7d", "9" + ARCH.slice(1), "Sale", mock.Client(alice), { preflight: true });
+  let swap = await Query.Details("swap1", mock.Client(bob));
+  await assert.rejects(Execute.FinishNative("swap1", swap, mock.Client(bob)), InsufficientFundsError);
+  assert.equal(mock.State().cw721[mock.cw721].tokens["1"].owner, alice);
+  assert.equal(balance(mock, bob), "5" + ARCH.slice(1));
+
+  // Expired
+  await Execute.CreateNative("swap2", "2", { at_height: mock.Height() + 2 }, ARCH, "Sale", mock.Client(alice), { preflight: true });
+  mock.Advance(0, 5);
+  let expired = await Query.Details("swap2", mock.Client(bob));
+  await assert.rejects(Execute.FinishNative("swap2", expired, mock.Client(bob)), SwapExpiredError);
+});
+
+test("ErrorMode.RESULT returns errors in the result envelope", async () => {
+  const { mock } = setup();
+  const RESULT = { errors: ErrorMode.RESULT };
+
+  let missing = await Query.Details("nope", mock.Client(bob), RESULT);
+  assert.equal(missing.ok, false);
+  assert.ok(missing.error instanceof SwapNotFoundError);
+
+  let created = await Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { ...RESULT, preflight: true });
+  assert.equal(created.ok, true);
+  assert.ok(created.value.transactionHash);
+
+  let cancelled = await Execute.Cancel("swap1", mock.Client(bob), RESULT);
+  assert.equal(cancelled.ok, false);
+  assert.ok(cancelled.error instanceof UnauthorizedError);
+
+  // Connection errors, e.g. without a wallet
+  let disconnected = await Execute.CreateNative("swap2", "2", "7d", ARCH, "Sale", null, RESULT);
+  assert.equal(disconnected.ok, false);
+  assert.match(disconnected.error.message, /wallet not found/);
+});
+
+test("simulate estimates a tx without broadcasting it", async () => {
+  const { mock } = setup();
+  let simulation = await Execute.CreateNative("swap1", "1", "7d", ARCH, "Sale", mock.Client(alice), { preflight: true, simulate: true });
+  assert.equal(simulation.simulated, true);
+  assert.ok(simulation.gas > 0);
+  assert.equal(simulation.instructions.length, 2);
+  assert.deepEqual(mock.State().swaps, {});
+});
+
+test("admin txs are restricted to the marketplace admin", async () => {
+  const { mock } = setup();
+  await assert.rejects(Admin.AddNft(MockAddress("other", 32), mock.Client(alice)), UnauthorizedError);
+
+  let result = await Admin.UpdateConfig({ fees: 0.05 }, mock.Client(MockAddress("admin")));
+  assert.deepEqual(result.diff, [{ key: "fees", current: 0.1, proposed: 0.05 }]);
+  assert.equal((await Query.Config(mock.Client(bob))).fees, 0.05);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Query, Execute } from "../marketplace-contract/marketplace.js";
+import { AcceptBestOffer, SweepFloor } from "../marketplace-contract/matching.js";
+import { IdStrategy, NewSwapId, FindSwaps, WithIds } from "../marketplace-contract/ids.js";
+
+const alice = MockAddress("alice");
+const bob = MockAddress("bob");
+
+function setup() {
+  const mock = MockMarketplace();
+  const usd = mock.AddCw20("USD");
+  ["1", "2", "3"].forEach((token_id) => mock.Mint(token_id, alice));
+  mock.Fund(bob, "1000");
+  mock.Fund(bob, "1000", usd);
+  return { mock, usd };
+}
+
+test("WithIds adds the ids of paged swaps", async () => {
+  const { mock } = setup();
+  await Execute.CreateNative("b", "1", "7d", "100", "Sale", mock.Client(alice), { preflight: true });
+  await Execute.CreateNative("a", "2", "7d", "200", "Sale", mock.Client(alice), { preflight: true });
+
+  let { swaps } = await Query.GetListings(0, 10, mock.Client(bob));
+  assert.ok(swaps.every((swap) => swap.id === undefined));
+  let found = await WithIds(swaps, mock.Client(bob));
+  assert.deepEqual(found.map((swap) => [swap.token_id, swap.id]).sort(), [["1", "b"], ["2", "a"]]);
+
+  let gone = await WithIds([{ ...swaps[0], price: "1" }], mock.Client(bob));
+  assert.equal(gone[0].id, null);
+});
+
+test("sequential ids count up, and are found again", async () => {
+  const { mock } = setup();
+  let client = mock.Client(alice);
+  for (const token_id of ["1", "2"]) {
+    let id = await NewSwapId(IdStrategy.SEQUENTIAL, {}, client);
+    await Execute.CreateNative(id, token_id, "7d", "100", "Sale", client, { preflight: true });
+  }
+  assert.equal(await NewSwapId(IdStrategy.SEQUENTIAL, {}, client), alice + "-2");
+
+  let found = await FindSwaps(IdStrategy.SEQUENTIAL, { token_id: "2" }, client);
+  assert.deepEqual(found.map((swap) => swap.id), [alice + "-1"]);
+
+  // The number of a cancelled swap is handed out again, unless the counter is persisted
+  await Execute.Cancel(alice + "-1", client);
+  assert.equal(await NewSwapId(IdStrategy.SEQUENTIAL, {}, client), alice + "-1");
+  assert.equal(await NewSwapId(IdStrategy.SEQUENTIAL, { sequence: 2 }, client), alice + "-2");
+});
+
+test("AcceptBestOffer finishes the highest offer", async () => {
+  const { mock, usd } = setup();
+  await Execute.CreateCw20("low", usd, "1", "7d", "50", '', "Offer", mock.Client(bob), { preflight: true });
+  await Execute.CreateCw20("high", usd, "1", "7d", "70", '', "Offer", mock.Client(bob), { preflight: true });
+
+  await AcceptBestOffer("1", null, mock.Client(alice));
+  assert.deepEqual(Object.keys(mock.State().swaps), ["low"]);
+  assert.equal(mock.State().cw20[usd].balances[alice], "70");
+});
+
+test("SweepFloor buys the cheapest listings within budget", async () => {
+  const { mock } = setup();
+  await Execute.CreateNative("s1", "1", "7d", "300", "Sale", mock.Client(alice), { preflight: true });
+  await Execute.CreateNative("s2", "2", "7d", "100", "Sale", mock.Client(alice), { preflight: true });
+  await Execute.CreateNative("s3", "3", "7d", "200", "Sale", mock.Client(alice), { preflight: true });
+
+  await SweepFloor(mock.cw721, 3, "500", mock.Client(bob));
+  let tokens = mock.State().cw721[mock.cw721].tokens;
+  assert.equal(tokens["2"].owner, bob);
+  assert.equal(tokens["3"].owner, bob);
+  assert.equal(tokens["1"].owner, alice);
+  assert.deepEqual(Object.keys(mock.State().swaps), ["s1"]);
+});
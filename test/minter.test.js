@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Networks } from "../util/networks.js";
+import { Execute } from "../minter-contract/minter.js";
+
+// A client of constantine (`aconst`), whose txs are recorded instead of broadcast; the mock has no minter contract
+function setup() {
+  const client = MockMarketplace().Client(MockAddress("alice"));
+  client.chainInfo = Networks.constantine.chain;
+  const txs = [];
+  client.wasmClient.execute = async (sender, contract, msg, fee, memo, funds) => {
+    txs.push({ msg, memo, funds });
+    return { transactionHash: "0".repeat(64) };
+  };
+  return { client, txs };
+}
+
+test("Mint and Withdraw memos use the network's denom", async () => {
+  const { client, txs } = setup();
+  await Execute.Mint({ price: "1500000000000000000" }, client);
+  await Execute.Withdraw("2000000000000000000", client);
+
+  assert.deepEqual(txs.map((tx) => tx.memo), ["Mint NFT for 1.5 CONST", "Withdraw 2 CONST"]);
+  assert.deepEqual(txs[0].funds, [{ denom: "aconst", amount: "1500000000000000000" }]);
+});
+
+test("Mint doesn't broadcast without the minter config", async (t) => {
+  const { client, txs } = setup();
+  t.mock.method(console, "error", () => {});
+  let result = await Execute.Mint(null, client);
+
+  assert.match(result.error, /No such contract/);
+  assert.equal(txs.length, 0);
+});
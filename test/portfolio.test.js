@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Execute, Admin } from "../marketplace-contract/marketplace.js";
+import { Portfolio } from "../marketplace-contract/portfolio.js";
+
+const ARCH = "1000000000000000000";
+
+const alice = MockAddress("alice");
+const bob = MockAddress("bob");
+const admin = MockAddress("admin");
+
+// NFTs "1" to "3" of alice, all listed
+async function setup() {
+  const mock = MockMarketplace({ fees: 0.1 });
+  ["1", "2", "3"].forEach((token_id) => mock.Mint(token_id, alice));
+  for (const token_id of ["1", "2", "3"]) {
+    await Execute.CreateNative("swap" + token_id, token_id, "7d", ARCH, "Sale", mock.Client(alice), { preflight: true });
+  }
+  return mock;
+}
+
+function transfer(mock, token_id, recipient) {
+  return mock.Client(alice).wasmClient.execute(alice, mock.cw721, { transfer_nft: { recipient: recipient, token_id: token_id } }, "auto");
+}
+
+test("listings of NFTs transferred away are stale", async () => {
+  const mock = await setup();
+  await transfer(mock, "1", bob);
+
+  let portfolio = await Portfolio(alice, mock.Client(alice));
+  assert.deepEqual(portfolio.tokens.map((token) => token.token_id), ["2", "3"]);
+  assert.equal(portfolio.stale.length, 1);
+  assert.equal(portfolio.stale[0].token_id, "1");
+  assert.equal(portfolio.stale[0].nft_contract, mock.cw721);
+
+  // The new owner's portfolio has the token, unlisted
+  let received = await Portfolio(bob, mock.Client(bob));
+  assert.equal(received.tokens.length, 1);
+  assert.equal(received.tokens[0].listing, null);
+  assert.deepEqual(received.stale, []);
+});
+
+test("listings whose approval was revoked aren't approved", async () => {
+  const mock = await setup();
+  await mock.Client(alice).wasmClient.execute(alice, mock.cw721, { revoke: { spender: mock.marketplace, token_id: "2" } }, "auto");
+
+  let portfolio = await Portfolio(alice, mock.Client(alice));
+  let tokens = Object.fromEntries(portfolio.tokens.map((token) => [token.token_id, token]));
+  assert.equal(tokens["2"].listing.token_id, "2");
+  assert.equal(tokens["2"].price, ARCH);
+  assert.equal(tokens["2"].approved, false);
+  assert.equal(tokens["1"].approved, true);
+  assert.equal(tokens["3"].approved, true);
+  // The creator still owns the NFT; the listing isn't stale, but can't be bought until it's approved again
+  assert.deepEqual(portfolio.stale, []);
+});
+
+test("listings of collections no longer curated are only stale once transferred", async () => {
+  const mock = await setup();
+  await Admin.RemoveNft(mock.cw721, mock.Client(admin));
+  await transfer(mock, "3", bob);
+
+  let portfolio = await Portfolio(alice, mock.Client(alice));
+  assert.deepEqual(portfolio.tokens, []);
+  assert.deepEqual(portfolio.stale.map((swap) => swap.token_id), ["3"]);
+});
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SigningArchwayClient } from "@archwayhq/arch3.js";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Session, UseSession, Client } from "../util/client.js";
+import { Query, Execute, Admin, Marketplace } from "../marketplace-contract/marketplace.js";
+
+const alice = MockAddress("alice");
+const bob = MockAddress("bob");
+
+// A wallet adapter whose active account can be switched, like Keplr's
+function MockWallet(address) {
+  const wallet = { name: "mock", connects: 0, listeners: [] };
+  wallet.Connect = async () => {
+    wallet.connects += 1;
+    let connected = address;
+    return { getAccounts: async () => [{ address: connected, algo: "secp256k1", pubkey: new Uint8Array(33) }] };
+  };
+  wallet.OnAccountChange = (listener) => wallet.listeners.push(listener);
+  wallet.Switch = (next) => {
+    address = next;
+    wallet.listeners.forEach((listener) => listener());
+  };
+  return wallet;
+}
+
+// The names of a function's parameters
+function parameters(fn) {
+  let source = fn.toString();
+  let names = [], depth = 0, current = "";
+  for (const char of source.slice(source.indexOf("(") + 1)) {
+    if (depth == 0 && (char == "," || char == ")")) {
+      names.push(current.split("=")[0].trim());
+      current = "";
+      if (char == ")") break;
+      continue;
+    }
+    if ("([{".includes(char)) depth += 1;
+    if (")]}".includes(char)) depth -= 1;
+    current += char;
+  }
+  return names.filter((name) => name);
+}
+
+test("a session connects its wallet once, and again after an account change", async (t) => {
+  const mock = MockMarketplace();
+  const connect = t.mock.method(SigningArchwayClient, "connectWithSigner", async () => ({}));
+  const wallet = MockWallet(alice);
+  const session = Session(wallet, mock.Client(alice).network);
+  assert.equal(session.Account(), null);
+
+  const [first, second] = await Promise.all([session.Client(), session.Client()]);
+  assert.equal(first, second);
+  assert.equal(await session.Client(), first);
+  assert.equal(wallet.connects, 1);
+  assert.equal(connect.mock.callCount(), 1);
+  assert.equal(connect.mock.calls[0].arguments[0], "mock://" + mock.marketplace);
+  assert.equal(session.Account(), alice);
+
+  let changed = [];
+  session.OnAccountChange((s) => changed.push(s));
+  wallet.Switch(bob);
+  assert.deepEqual(changed, [session]);
+  assert.equal(session.Account(), null);
+  const third = await session.Client();
+  assert.notEqual(third, first);
+  assert.equal(wallet.connects, 2);
+  assert.equal(session.Account(), bob);
+
+  session.Disconnect();
+  await session.Client();
+  assert.equal(wallet.connects, 3);
+});
+
+test("a failed connection is retried by the next Client()", async (t) => {
+  const mock = MockMarketplace();
+  t.mock.method(SigningArchwayClient, "connectWithSigner", async () => ({}));
+  const wallet = MockWallet(alice);
+  const connect = wallet.Connect;
+  wallet.Connect = async () => {
+    wallet.Connect = connect;
+    throw new Error("Request rejected");
+  };
+  const session = Session(wallet, mock.Client(alice).network);
+  await assert.rejects(session.Client(), /Request rejected/);
+  await session.Client();
+  assert.equal(session.Account(), alice);
+});
+
+test("Client() shares the session of its network", async (t) => {
+  const mock = MockMarketplace();
+  const connect = t.mock.method(SigningArchwayClient, "connectWithSigner", async () => ({}));
+  const network = mock.Client(alice).network;
+  const wallet = MockWallet(alice);
+  const session = UseSession(Session(wallet, network));
+  const [first, second] = await Promise.all([Client(network), Client(network)]);
+  assert.equal(first, second);
+  assert.equal(first, await session.Client());
+  assert.equal(first.offlineSigner, (await session.Client()).offlineSigner);
+  assert.equal(connect.mock.callCount(), 1);
+});
+
+test("Marketplace helpers get the session's client at their client argument", async (t) => {
+  const mock = MockMarketplace();
+  const client = mock.Client(alice);
+  const other = mock.Client(bob);
+  let connects = 0;
+  const session = { Client: async () => { connects += 1; return client; } };
+
+  const groups = { Query, Execute, Admin };
+  const spies = {};
+  Object.entries(groups).forEach(([group, helpers]) => {
+    Object.entries(helpers).forEach(([name, helper]) => {
+      spies[group + "." + name] = { index: parameters(helper).indexOf("client"), spy: t.mock.method(helpers, name, async () => null) };
+    });
+  });
+  const marketplace = Marketplace(session);
+  assert.equal(marketplace.session, session);
+
+  for (const [key, { index, spy }] of Object.entries(spies)) {
+    const [group, name] = key.split(".");
+    connects = 0;
+    await marketplace[group][name]();
+    let args = spy.mock.calls[0].arguments;
+    if (index < 0) {
+      assert.equal(connects, 0, key);
+      continue;
+    }
+    assert.equal(connects, 1, key);
+    assert.equal(args[index], client, key);
+    assert.ok(args.every((arg, i) => i == index || arg === undefined), key);
+
+    // A client passed by the caller is kept
+    let params = new Array(index + 1);
+    params[index] = other;
+    await marketplace[group][name](...params);
+    assert.equal(connects, 1, key);
+    assert.equal(spy.mock.calls[1].arguments[index], other, key);
+  }
+});
+
+test("a bound helper runs against the session's client", async () => {
+  const mock = MockMarketplace();
+  mock.Mint("1", alice);
+  const session = { Client: async () => mock.Client(alice) };
+  const marketplace = Marketplace(session);
+  await marketplace.Execute.CreateNative("swap1", "1", "7d", "100", "Sale", null, { preflight: true });
+  const swap = await marketplace.Query.Details("swap1");
+  assert.equal(swap.creator, alice);
+  assert.equal(swap.price, "100");
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ParseDuration, ToNanos, FromNanos, Expiration, ToDate, IsExpired, HasExpired } from "../util/time.js";
+
+const SECOND = 1000, MINUTE = 60 * SECOND, HOUR = 60 * MINUTE, DAY = 24 * HOUR;
+
+test("ParseDuration parses each unit, and combinations", () => {
+  assert.equal(ParseDuration("30s"), 30 * SECOND);
+  assert.equal(ParseDuration("30m"), 30 * MINUTE);
+  assert.equal(ParseDuration("12h"), 12 * HOUR);
+  assert.equal(ParseDuration("7d"), 7 * DAY);
+  assert.equal(ParseDuration("2w"), 14 * DAY);
+  assert.equal(ParseDuration("1.5h"), 90 * MINUTE);
+  assert.equal(ParseDuration(" 1d12h "), 36 * HOUR);
+  assert.equal(ParseDuration("1w1d1h1m1s"), 8 * DAY + HOUR + MINUTE + SECOND);
+});
+
+test("ParseDuration rejects invalid durations", () => {
+  for (const duration of ["", "7", "d", "7x", "-1d", "1d 12h", "1.d", "soon", null]) {
+    assert.throws(() => ParseDuration(duration), /Invalid duration/, String(duration));
+  }
+});
+
+test("Expiration detects timestamps in seconds, milliseconds and nanoseconds", () => {
+  const nanos = "1724388997000000000";
+  assert.deepEqual(Expiration(1724388997), { at_time: nanos });
+  assert.deepEqual(Expiration("1724388997"), { at_time: nanos });
+  assert.deepEqual(Expiration("1724388997.9"), { at_time: nanos });
+  assert.deepEqual(Expiration(1724388997000), { at_time: nanos });
+  assert.deepEqual(Expiration(nanos), { at_time: nanos });
+  assert.deepEqual(Expiration({ at_time: 1724388997000 }), { at_time: nanos });
+  // Largest seconds, and smallest milliseconds
+  assert.deepEqual(Expiration(99999999999), { at_time: "99999999999000000000" });
+  assert.deepEqual(Expiration(100000000000), { at_time: "100000000000000000" });
+  // Largest milliseconds, and smallest nanoseconds
+  assert.deepEqual(Expiration(99999999999999), { at_time: "99999999999999000000" });
+  assert.deepEqual(Expiration("100000000000000"), { at_time: "100000000000000" });
+});
+
+test("Expiration converts dates and durations from now", () => {
+  assert.deepEqual(Expiration(new Date(1724388997000)), { at_time: "1724388997000000000" });
+  assert.deepEqual(Expiration("7d", 1000), { at_time: ToNanos(1000 + 7 * DAY) });
+  assert.deepEqual(Expiration("1d12h", new Date(0)), { at_time: ToNanos(36 * HOUR) });
+});
+
+test("Expiration passes at_height and never through", () => {
+  assert.deepEqual(Expiration({ at_height: 1200000 }), { at_height: 1200000 });
+  assert.deepEqual(Expiration({ at_height: "1200000" }), { at_height: 1200000 });
+  assert.deepEqual(Expiration({ never: {} }), { never: {} });
+  assert.deepEqual(Expiration("never"), { never: {} });
+});
+
+test("Expiration rejects invalid input", () => {
+  assert.throws(() => Expiration(null), /Expiration is required/);
+  assert.throws(() => Expiration(undefined), /Expiration is required/);
+  assert.throws(() => Expiration(new Date("nope")), /Invalid expiration date/);
+  assert.throws(() => Expiration({ at_block: 1 }), /Invalid expiration/);
+  assert.throws(() => Expiration("soon"), /Invalid duration/);
+  assert.throws(() => Expiration("7x"), /Invalid duration/);
+  assert.throws(() => Expiration(""), /Invalid duration/);
+});
+
+test("ToNanos, FromNanos and ToDate convert between dates and nanoseconds", () => {
+  assert.equal(ToNanos(new Date(1724388997123)), "1724388997123000000");
+  assert.equal(FromNanos("1724388997123456789").getTime(), 1724388997123);
+  assert.equal(ToDate({ at_time: "1724388997000000000" }).getTime(), 1724388997000);
+  assert.equal(ToDate({ at_height: 1 }), null);
+  assert.equal(ToDate({ never: {} }), null);
+});
+
+test("IsExpired and HasExpired compare with the time and block height", async () => {
+  const at = { now: new Date(2 * DAY), height: 100 };
+  assert.equal(IsExpired({ at_time: ToNanos(DAY) }, at), true);
+  assert.equal(IsExpired({ at_time: ToNanos(2 * DAY) }, at), true);
+  assert.equal(IsExpired({ at_time: ToNanos(3 * DAY) }, at), false);
+  assert.equal(IsExpired({ at_height: 100 }, at), true);
+  assert.equal(IsExpired({ at_height: 101 }, at), false);
+  // Without a height, `at_height` expirations aren't expired
+  assert.equal(IsExpired({ at_height: 1 }), false);
+  assert.equal(IsExpired({ never: {} }, at), false);
+  assert.equal(IsExpired(null), false);
+
+  const client = { wasmClient: { getHeight: async () => 50 } };
+  assert.equal(await HasExpired({ at_height: 50 }, client), true);
+  assert.equal(await HasExpired({ at_height: 51 }, client), false);
+});
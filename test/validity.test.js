@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MockMarketplace, MockAddress } from "../util/mock.js";
+import { Query, Execute } from "../marketplace-contract/marketplace.js";
+import { Validity, Validate, Fillable } from "../marketplace-contract/validity.js";
+
+const ARCH = "1000000000000000000";
+
+const alice = MockAddress("alice");
+const bob = MockAddress("bob");
+const carol = MockAddress("carol");
+
+// Listings of NFTs "1" to "3" of alice, and an offer of bob for NFT "4" of carol, paid in USD (cw20)
+async function setup() {
+  const mock = MockMarketplace({ fees: 0.1 });
+  const usd = mock.AddCw20("USD");
+  ["1", "2", "3"].forEach((token_id) => mock.Mint(token_id, alice));
+  mock.Mint("4", carol);
+  mock.Fund(bob, "1000000", usd);
+  for (const token_id of ["1", "2", "3"]) {
+    await Execute.CreateNative("swap" + token_id, token_id, "7d", ARCH, "Sale", mock.Client(alice), { preflight: true });
+  }
+  await Execute.CreateCw20("offer1", usd, "4", "1d", "500000", '', "Offer", mock.Client(bob), { preflight: true });
+  return { mock, usd };
+}
+
+async function validate(mock, id) {
+  let swap = await Query.Details(id, mock.Client(carol));
+  return Validate(swap, mock.Client(carol));
+}
+
+test("listed and offered swaps are valid", async () => {
+  const { mock } = await setup();
+  assert.deepEqual(await validate(mock, "swap1"), { valid: true, status: Validity.VALID, reason: null });
+  assert.deepEqual(await validate(mock, "offer1"), { valid: true, status: Validity.VALID, reason: null });
+});
+
+test("a sale of an NFT the creator no longer owns is NOT_OWNER", async () => {
+  const { mock } = await setup();
+  await mock.Client(alice).wasmClient.execute(alice, mock.cw721, { transfer_nft: { recipient: carol, token_id: "1" } }, "auto");
+  let validity = await validate(mock, "swap1");
+  assert.equal(validity.valid, false);
+  assert.equal(validity.status, Validity.NOT_OWNER);
+  assert.match(validity.reason, /no longer owns token 1/);
+});
+
+test("a sale whose approval was revoked is NOT_APPROVED", async () => {
+  const { mock } = await setup();
+  await mock.Client(alice).wasmClient.execute(alice, mock.cw721, { revoke: { spender: mock.marketplace, token_id: "2" } }, "auto");
+  let validity = await validate(mock, "swap2");
+  assert.equal(validity.valid, false);
+  assert.equal(validity.status, Validity.NOT_APPROVED);
+});
+
+test("an offer whose allowance is too low or expired is INSUFFICIENT_ALLOWANCE", async () => {
+  const { mock, usd } = await setup();
+  await mock.Client(bob).wasmClient.execute(bob, usd, { decrease_allowance: { spender: mock.marketplace, amount: "100000" } }, "auto");
+  let validity = await validate(mock, "offer1");
+  assert.equal(validity.status, Validity.INSUFFICIENT_ALLOWANCE);
+  assert.equal(validity.reason, "Creator allowed the marketplace to spend 400000 of 500000");
+
+  let expires = { at_height: mock.Height() + 2 };
+  await mock.Client(bob).wasmClient.execute(bob, usd, { increase_allowance: { spender: mock.marketplace, amount: "100000", expires: expires } }, "auto");
+  assert.equal((await validate(mock, "offer1")).status, Validity.VALID);
+  mock.Advance(0, 2);
+  validity = await validate(mock, "offer1");
+  assert.equal(validity.status, Validity.INSUFFICIENT_ALLOWANCE);
+  assert.equal(validity.reason, "Creator allowed the marketplace to spend 0 of 500000");
+});
+
+test("a swap past its expiration is EXPIRED", async (t) => {
+  const { mock } = await setup();
+  // Time expirations are checked against the local clock
+  const now = Date.now() + 2 * 24 * 3600 * 1000;
+  t.mock.method(Date, "now", () => now);
+  let validity = await validate(mock, "offer1");
+  assert.equal(validity.status, Validity.EXPIRED);
+  assert.equal((await validate(mock, "swap1")).status, Validity.VALID);
+});
+
+test("Fillable keeps the valid swaps, in order", async () => {
+  const { mock } = await setup();
+  await mock.Client(alice).wasmClient.execute(alice, mock.cw721, { transfer_nft: { recipient: carol, token_id: "1" } }, "auto");
+  await mock.Client(alice).wasmClient.execute(alice, mock.cw721, { revoke: { spender: mock.marketplace, token_id: "2" } }, "auto");
+  let swaps = [];
+  for (const id of ["swap1", "swap2", "swap3", "offer1"]) swaps.push({ id: id, ...await Query.Details(id, mock.Client(carol)) });
+  let fillable = await Fillable(swaps, mock.Client(carol));
+  assert.deepEqual(fillable.map((swap) => swap.id), ["swap3", "offer1"]);
+});
@@ -0,0 +1,254 @@
+import { Client } from './client.js';
+import { ContractAddress } from './networks.js';
+
+// Milliseconds a query result is cached, by query; other queries use `DEFAULT_TTL`
+const DEFAULT_TTLS = {
+  config: 60 * 60 * 1000,
+  details: 60 * 1000
+};
+const DEFAULT_TTL = 15 * 1000;
+
+// Marketplace queries whose results change whenever a swap is created, finished, cancelled or updated
+const SWAP_QUERIES = ["list", "get_offers", "get_listings", "swaps_by_price", "swaps_by_denom", "swaps_by_payment_type"];
+
+// Cache used by queries called without `options.cache`; caching is off until `UseCache` is called
+let active = null;
+
+/**
+ * In-memory cache storage; entries are lost when the page or process ends
+ * @returns {Object} : `{ Get, Set, Delete, Keys }`
+ */
+function MemoryStorage() {
+  const entries = new Map();
+  return {
+    // Entries are kept serialized, so callers can't change cached results
+    Get: (key) => (entries.has(key)) ? JSON.parse(entries.get(key)) : undefined,
+    Set: (key, entry) => { entries.set(key, JSON.stringify(entry)); },
+    Delete: (key) => { entries.delete(key); },
+    Keys: () => [...entries.keys()]
+  };
+}
+
+/**
+ * Browser cache storage, kept across page loads
+ * @param {String} prefix? : (Optional) Prefix of the storage keys. Default "proj-nft:"
+ * @param {Storage} storage? : (Optional) A Web Storage; defaults to the browser's `localStorage`
+ * @returns {Object} : `{ Get, Set, Delete, Keys }`
+ */
+function LocalStorage(prefix = "proj-nft:", storage = globalThis.localStorage) {
+  return {
+    Get: (key) => {
+      let entry = storage.getItem(prefix + key);
+      return (entry === null) ? undefined : JSON.parse(entry);
+    },
+    Set: (key, entry) => { storage.setItem(prefix + key, JSON.stringify(entry)); },
+    Delete: (key) => { storage.removeItem(prefix + key); },
+    Keys: () => {
+      let keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        let key = storage.key(i);
+        if (key && key.startsWith(prefix)) keys.push(key.slice(prefix.length));
+      }
+      return keys;
+    }
+  };
+}
+
+/**
+ * Node.js cache storage; all entries are kept in a single JSON file, and kept across runs
+ * @param {String} path : Path of the JSON file; it's created if it doesn't exist
+ * @param {Object} fs : Node's `fs` module (e.g. `import fs from 'fs'`); it isn't imported here, so the browser build doesn't need it
+ * @returns {Object} : `{ Get, Set, Delete, Keys }`
+ */
+function FileStorage(path, fs) {
+  let entries = null;
+
+  function load() {
+    if (entries) return entries;
+    entries = (fs.existsSync(path)) ? JSON.parse(fs.readFileSync(path, "utf8") || "{}") : {};
+    return entries;
+  }
+
+  function save() {
+    fs.writeFileSync(path, JSON.stringify(entries));
+  }
+
+  return {
+    Get: (key) => load()[key],
+    Set: (key, entry) => {
+      load()[key] = entry;
+      save();
+    },
+    Delete: (key) => {
+      if (!(key in load())) return;
+      delete entries[key];
+      save();
+    },
+    Keys: () => Object.keys(load())
+  };
+}
+
+// Cache keys are "contract/query/params", e.g. 'archway1.../details/{"id":"swap1"}'
+function cacheKey(contract, entrypoint) {
+  let name = Object.keys(entrypoint)[0];
+  return contract + "/" + name + "/" + JSON.stringify(entrypoint[name]);
+}
+
+function parseKey(key) {
+  let [contract, name] = key.split("/", 2);
+  return { contract: contract, name: name, params: JSON.parse(key.slice(contract.length + name.length + 2)) };
+}
+
+/**
+ * Cache of query results, with a time to live per query
+ * @param {Object} options? : (Optional) `{ storage, ttl }`; `storage` is one of `MemoryStorage` (default), `LocalStorage` or
+ * `FileStorage`, and `ttl` the milliseconds results are cached, by query name (e.g. `{ config: 86400000, get_listings: 5000 }`).
+ * A `default` ttl applies to queries without their own. Default 1 hour for `config`, 1 minute for `details` and 15 seconds for others
+ * @returns {Object} : `{ Get, Set, Invalidate, Clear }`
+ */
+function QueryCache(options = {}) {
+  const storage = options.storage || MemoryStorage();
+  const ttls = Object.assign({}, DEFAULT_TTLS, options.ttl || {});
+
+  /**
+   * Get a cached query result
+   * @param {String} contract : Contract address
+   * @param {Object} entrypoint : Query msg, e.g. `{ details: { id } }`
+   * @returns {*} : The result, or `undefined` if it isn't cached or has expired
+   */
+  async function Get(contract, entrypoint) {
+    let key = cacheKey(contract, entrypoint);
+    let entry = await storage.Get(key);
+    if (entry === undefined) return undefined;
+    if (entry.expires <= Date.now()) {
+      await storage.Delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Cache a query result
+   * @param {String} contract : Contract address
+   * @param {Object} entrypoint : Query msg
+   * @param {*} value : The result
+   * @param {Number} ttl? : (Optional) Milliseconds the result is cached; defaults to the ttl of the query. 0 doesn't cache it
+   */
+  async function Set(contract, entrypoint, value, ttl = null) {
+    let name = Object.keys(entrypoint)[0];
+    if (ttl === null || ttl === undefined) ttl = (ttls[name] !== undefined) ? ttls[name] : (ttls.default !== undefined) ? ttls.default : DEFAULT_TTL;
+    if (!ttl) return;
+    await storage.Set(cacheKey(contract, entrypoint), { value: value, expires: Date.now() + ttl });
+  }
+
+  /**
+   * Remove cached results of a contract
+   * @param {String} contract : Contract address
+   * @param {String} name? : (Optional) Query name, e.g. "swaps_of"; all queries if omitted
+   * @param {Function} match? : (Optional) Called with the params of each cached query; only results it returns true for are removed
+   */
+  async function Invalidate(contract, name = null, match = null) {
+    for (const key of await storage.Keys()) {
+      let query = parseKey(key);
+      if (query.contract !== contract || (name && query.name !== name)) continue;
+      if (match && !match(query.params)) continue;
+      await storage.Delete(key);
+    }
+  }
+
+  /**
+   * Remove all cached results
+   */
+  async function Clear() {
+    for (const key of await storage.Keys()) await storage.Delete(key);
+  }
+
+  return { Get, Set, Invalidate, Clear };
+}
+
+/**
+ * Set the cache used by queries called without `options.cache`
+ * @param {Object} cache : A `QueryCache`, or `null` to stop caching
+ * @returns {Object} : The cache
+ */
+function UseCache(cache) {
+  active = cache;
+  return cache;
+}
+
+function cacheOf(options = {}) {
+  return (options.cache !== undefined) ? options.cache : active;
+}
+
+/**
+ * Query a contract, through the cache. Cached results are returned without a client, so `Client()` only
+ * connects (and prompts Keplr) on a cache miss
+ * @param {Object} client : instance of signing (or query) client, or `null`
+ * @param {String} contract : One of "marketplace", "minter" or "cw721" (see `ContractAddress`)
+ * @param {Object} entrypoint : Query msg
+ * @param {Object} options? : (Optional) `{ cache, ttl }`; `cache` is a `QueryCache` (default the one set by `UseCache`), or
+ * `false` to skip the cache, and `ttl` overrides the cache's ttl of the query
+ * @returns {*} : The query result
+ */
+async function CachedQuery(client, contract, entrypoint, options = {}) {
+  let cache = cacheOf(options);
+  let address = ContractAddress(client, contract);
+  if (cache) {
+    let cached = await cache.Get(address, entrypoint);
+    if (cached !== undefined) return cached;
+  }
+  if (!client) client = await Client();
+  address = ContractAddress(client, contract);
+  let value = await client.wasmClient.queryClient.wasm.queryContractSmart(address, entrypoint);
+  if (cache) await cache.Set(address, entrypoint, value, options.ttl);
+  return value;
+}
+
+/**
+ * Remove the cached marketplace queries affected by the msgs of a successful tx: the `Details`, `SwapsOf` and
+ * `ListingsOfToken` of each created, finished, cancelled or updated swap, the swap lists and totals, and the `Config`
+ * after admin txs
+ * @param {Object} client : instance of signing client
+ * @param {Array} instructions : Array of `{ contractAddress, msg, funds? }` execute instructions of the tx
+ * @param {Object} options? : (Optional) `{ cache }`; defaults to the cache set by `UseCache`
+ */
+async function InvalidateTx(client, instructions, options = {}) {
+  let cache = cacheOf(options);
+  if (!cache) return;
+  let marketplace = ContractAddress(client, 'marketplace');
+  let accounts = await client.offlineSigner.getAccounts();
+
+  for (const instruction of instructions) {
+    if (instruction.contractAddress !== marketplace) continue;
+    let [name] = Object.keys(instruction.msg);
+    let msg = instruction.msg[name];
+    if (["update_config", "add_nft", "remove_nft"].includes(name)) {
+      await cache.Invalidate(marketplace, "config");
+      continue;
+    }
+    if (!["create", "finish", "cancel", "update"].includes(name)) continue;
+    // Swaps are only created by the sender; for others, the creator and token are found in the cached `Details`
+    let details = (name == "create") ? null : await cache.Get(marketplace, { details: { id: msg.id } });
+    let creator = (name == "create") ? accounts[0].address : (details) ? details.creator : null;
+    let token_id = msg.token_id || ((details) ? details.token_id : null);
+    let cw721 = msg.cw721 || ((details) ? details.contract : null);
+
+    await cache.Invalidate(marketplace, "details", (params) => params.id == msg.id);
+    await cache.Invalidate(marketplace, "swaps_of", (params) => !creator || params.address == creator);
+    await cache.Invalidate(marketplace, "listings_of_token", (params) => !token_id
+      || (params.token_id == token_id && (!cw721 || !params.cw721 || params.cw721 == cw721)));
+    for (const query of SWAP_QUERIES) await cache.Invalidate(marketplace, query);
+    // Updates change prices and expirations, but not the amount of swaps
+    if (name !== "update") await cache.Invalidate(marketplace, "get_total");
+  }
+}
+
+export {
+  MemoryStorage,
+  LocalStorage,
+  FileStorage,
+  QueryCache,
+  UseCache,
+  CachedQuery,
+  InvalidateTx
+}
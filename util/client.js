@@ -1,26 +1,172 @@
-const Arch3 = require('@archwayhq/arch3.js');
-
-const Blockchain = {
-  chainId: "archway-1",
-  chainName: "Archway",
-  rpc: "https://rpc.mainnet.archway.io",
-  stakeCurrency: {coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 6,},
-  bech32Config: {bech32PrefixAccAddr: "archway",bech32PrefixAccPub: "archwaypub",bech32PrefixValAddr: "archwayvaloper",bech32PrefixValPub: "archwayvaloperpub",bech32PrefixConsAddr: "archwayvalcons",bech32PrefixConsPub: "archwayvalconspub"},
-  currencies: [{coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 18,}],
-  feeCurrencies: [{coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 18,gasPriceStep: {low: 0,average: 0.1,high: 0.2},}],
-  features: ['cosmwasm']
-};
-
-// Keplr example
-async function Client() {
-  await window.keplr.experimentalSuggestChain(Blockchain);
-  await window.keplr.enable(Blockchain.chainId);
-  window.keplr.defaultOptions = {sign:{preferNoSetFee: true}};
-  const signer = await window.getOfflineSignerAuto(Blockchain.chainId);
-  const client = await Arch3.SigningArchwayClient.connectWithSigner(Blockchain.rpc, signer);
-  return client;
+import { SigningArchwayClient, ArchwayClient } from "@archwayhq/arch3.js";
+import { GasPrice } from "@cosmjs/stargate";
+import { Network } from './networks.js';
+import { KeplrWallet, MnemonicWallet } from './wallets.js';
+
+// Sessions used by `Client()`, by network name (see `UseSession`)
+const sessions = {};
+
+/**
+ * Connect a signing client for an offline signer. The result is the `client`
+ * accepted by the `Query` and `Execute` helpers of each contract.
+ * @param {OfflineSigner} signer : Any cosmjs offline signer (Keplr, DirectSecp256k1HdWallet, etc.)
+ * @param {String|Object} network? : (Optional) Network profile or its name; defaults to the active profile (see `util/networks.js`)
+ * @returns {Object} : `{ wasmClient, offlineSigner, chainInfo, fees, network }`
+ */
+async function SigningClient(signer, network = null) {
+  network = Network(network);
+  const wasmClient = await SigningArchwayClient.connectWithSigner(network.rpc, signer, {
+    gasPrice: GasPrice.fromString(network.gasPrice)
+  });
+  return {
+    wasmClient: wasmClient,
+    offlineSigner: signer,
+    chainInfo: network.chain,
+    fees: "auto",
+    network: network
+  };
+}
+
+/**
+ * A wallet connection, made once and shared by all helpers it's passed to. The client and the active account are
+ * kept until the user switches accounts in the wallet (if the wallet reports it) or `Disconnect` is called; the next
+ * `Client()` then connects again.
+ *
+ *    const session = Session(LeapWallet(), "constantine");
+ *    const client = await session.Client();    // Prompts the wallet once
+ *    await Query.Details("swap1", client);
+ *    await Execute.FinishNative("swap1", swap, await session.Client());
+ *
+ * @param {WalletAdapter} wallet? : (Optional) One of the adapters of `util/wallets.js`. Default `KeplrWallet()`
+ * @param {String|Object} network? : (Optional) Network profile or its name; defaults to the active profile
+ * @returns {Object} : `{ wallet, network, Client, Account, Disconnect, OnAccountChange }`
+ */
+function Session(wallet = null, network = null) {
+  wallet = wallet || KeplrWallet();
+  network = Network(network);
+
+  let connecting = null;
+  let account = null;
+  const listeners = [];
+
+  function reset() {
+    connecting = null;
+    account = null;
+  }
+
+  async function connect() {
+    const signer = await wallet.Connect(network);
+    const client = await SigningClient(signer, network);
+    const accounts = await signer.getAccounts();
+    account = accounts[0].address;
+    return client;
+  }
+
+  /**
+   * Get the session's client; the wallet is connected on the first call
+   * @returns {Object} : `{ wasmClient, offlineSigner, chainInfo, fees, network }`
+   */
+  function Client() {
+    if (!connecting) {
+      connecting = connect().catch((e) => {
+        reset();
+        throw e;
+      });
+    }
+    return connecting;
+  }
+
+  /**
+   * @returns {String|null} : Returns the address of the active account, or `null` until the session is connected
+   */
+  function Account() {
+    return account;
+  }
+
+  /**
+   * Forget the client; the next `Client()` connects again
+   */
+  function Disconnect() {
+    reset();
+  }
+
+  /**
+   * Add a listener for account switches in the wallet
+   * @param {Function} listener : Called with the session after the user switched accounts
+   */
+  function OnAccountChange(listener) {
+    listeners.push(listener);
+  }
+
+  if (wallet.OnAccountChange) {
+    wallet.OnAccountChange(() => {
+      reset();
+      listeners.forEach((listener) => listener(session));
+    });
+  }
+
+  const session = { wallet, network, Client, Account, Disconnect, OnAccountChange };
+  return session;
+}
+
+/**
+ * Set the session of `Client()` for the session's network, e.g. to use another wallet than Keplr
+ * @param {Object} session : A `Session`
+ * @returns {Object} : The session
+ */
+function UseSession(session) {
+  sessions[session.network.name] = session;
+  return session;
+}
+
+/**
+ * Default client of the helpers called without one. It's the client of the network's session (see `UseSession`);
+ * a Keplr session is started if none was set. The wallet is only connected once, by the first call
+ * @param {String|Object} network? : (Optional) Network profile or its name; defaults to the active profile
+ * @returns {Object} : `{ wasmClient, offlineSigner, chainInfo, fees, network }`
+ */
+async function Client(network = null) {
+  network = Network(network);
+  if (!sessions[network.name]) sessions[network.name] = Session(KeplrWallet(), network);
+  return sessions[network.name].Client();
+}
+
+// Node.js example
+/**
+ * Headless signing client (e.g. for bots and back-office scripts), from a mnemonic or a private key
+ * @param {String} secret : A bip39 mnemonic, or a hex encoded secp256k1 private key (optionally `0x` prefixed)
+ * @param {Number} account? : (Optional) HD account index used when `secret` is a mnemonic. Default 0
+ * @param {String|Object} network? : (Optional) Network profile or its name; defaults to the active profile
+ * @returns {Object} : `{ wasmClient, offlineSigner, chainInfo, fees, network }`
+ */
+async function WalletClient(secret, account = 0, network = null) {
+  network = Network(network);
+  const signer = await MnemonicWallet(secret, account).Connect(network);
+  return SigningClient(signer, network);
+}
+
+/**
+ * Read-only client for queries that don't need a signer; it can't be used with `Execute` helpers
+ * @param {String|Object} network? : (Optional) Network profile or its name; defaults to the active profile
+ * @returns {Object} : `{ wasmClient, offlineSigner: null, chainInfo, fees: null, network }`
+ */
+async function QueryClient(network = null) {
+  network = Network(network);
+  const wasmClient = await ArchwayClient.connect(network.rpc);
+  return {
+    wasmClient: wasmClient,
+    offlineSigner: null,
+    chainInfo: network.chain,
+    fees: null,
+    network: network
+  };
 }
 
 export {
-    Client
-}
\ No newline at end of file
+    Client,
+    Session,
+    UseSession,
+    SigningClient,
+    WalletClient,
+    QueryClient
+}
@@ -4,6 +4,7 @@ const ATTO_UNIT = 1_000_000_000_000_000_000;
 
 /**
  * Convert atomic-arch to arch value
+ * Note: with `bigint = true` the fractional part is dropped; use `FormatAmount` for exact values
  * @param {Number} value : A denomination of arch in aarch
  */
 function FromAtto(value, bigint = false) {
@@ -19,7 +20,118 @@ function ToAtto(value, bigint = false) {
   else return value * ATTO_UNIT;
 }
 
+const Rounding = {
+  DOWN: "down",           // Towards zero (truncate)
+  UP: "up",               // Away from zero
+  HALF_UP: "half_up",     // To nearest; ties away from zero
+  HALF_EVEN: "half_even"  // To nearest; ties to even (banker's rounding)
+};
+
+/**
+ * Divide a BigInt by a power of ten, rounding the result
+ * @param {BigInt} value : Integer to be divided
+ * @param {Number} exponent : Power of ten to divide by
+ * @param {String} rounding : One of `Rounding`
+ * @returns {BigInt}
+ */
+function divideRounded(value, exponent, rounding) {
+  if (exponent <= 0) return value * BigInt(10) ** BigInt(-exponent);
+  const divisor = BigInt(10) ** BigInt(exponent);
+  const negative = value < BigInt(0);
+  const abs = negative ? -value : value;
+  let quotient = abs / divisor;
+  const remainder = abs % divisor;
+  if (remainder > BigInt(0)) {
+    const twice = remainder * BigInt(2);
+    switch (rounding) {
+      case Rounding.UP:
+        quotient += BigInt(1);
+        break;
+      case Rounding.HALF_UP:
+        if (twice >= divisor) quotient += BigInt(1);
+        break;
+      case Rounding.HALF_EVEN:
+        if (twice > divisor || (twice === divisor && quotient % BigInt(2) === BigInt(1))) quotient += BigInt(1);
+        break;
+      case Rounding.DOWN:
+        break;
+      default:
+        throw new Error("Unknown rounding mode: " + rounding);
+    }
+  }
+  return negative ? -quotient : quotient;
+}
+
+/**
+ * Convert an atomic amount (e.g. aarch) to an exact decimal string (e.g. ARCH), without floating point error
+ * @param {String|Number|BigInt} value : An integer amount in atomic units (e.g. "1500000000000000000")
+ * @param {Number} decimals? : (Optional) Decimals of the denom. Default 18
+ * @param {Number} precision? : (Optional) Max. fraction digits of the result; `null` keeps all significant digits. Default null
+ * @param {String} rounding? : (Optional) One of `Rounding`, used when `precision` drops digits. Default `Rounding.DOWN`
+ * @returns {String} : e.g. "1.5"
+ */
+function FormatAmount(value, decimals = 18, precision = null, rounding = Rounding.DOWN) {
+  let amount = BigInt(value);
+  let digits = decimals;
+  if (precision !== null && precision < decimals) {
+    amount = divideRounded(amount, decimals - precision, rounding);
+    digits = precision;
+  }
+  const negative = amount < BigInt(0);
+  let str = (negative ? -amount : amount).toString().padStart(digits + 1, "0");
+  let integer = str.slice(0, str.length - digits);
+  let fraction = str.slice(str.length - digits).replace(/0+$/, "");
+  return (negative ? "-" : "") + integer + (fraction ? "." + fraction : "");
+}
+
+/**
+ * Convert a decimal amount (e.g. ARCH) to an atomic amount string (e.g. aarch), without floating point error
+ * @param {String|Number} value : A decimal amount (e.g. "1.25" or user input such as " 1,000.5 ")
+ * @param {Number} decimals? : (Optional) Decimals of the denom. Default 18
+ * @param {String} rounding? : (Optional) One of `Rounding`, used when `value` has more than `decimals` fraction digits. Default `Rounding.DOWN`
+ * @returns {String} : e.g. "1250000000000000000"
+ */
+function ParseAmount(value, decimals = 18, rounding = Rounding.DOWN) {
+  let str = (typeof value === "number")
+    ? value.toLocaleString("en-US", { useGrouping: false, maximumFractionDigits: 20 })
+    : String(value).trim().replace(/[,_\s]/g, "");
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(str);
+  if (!match || (match[2] === "" && !match[3])) throw new Error("Invalid amount: " + value);
+  const negative = match[1] === "-";
+  const fraction = match[3] || "";
+  let amount = BigInt((match[2] || "0") + fraction);
+  amount = divideRounded(amount, fraction.length - decimals, rounding);
+  if (negative) amount = -amount;
+  return amount.toString();
+}
+
+/**
+ * Format an atomic amount for display, using the grouping and decimal separators of a locale
+ * @param {String|Number|BigInt} value : An integer amount in atomic units
+ * @param {Number} decimals? : (Optional) Decimals of the denom. Default 18
+ * @param {Object} options? : (Optional) `{ locale, precision, minPrecision, rounding }`; `locale` defaults to the
+ * runtime's locale, `precision` (max. fraction digits) defaults to 4, `minPrecision` to 0 and `rounding` to `Rounding.HALF_UP`
+ * @returns {String} : e.g. "1,234.5" (en-US) or "1.234,5" (de-DE)
+ */
+function DisplayAmount(value, decimals = 18, options = {}) {
+  const locale = options.locale;
+  const precision = (options.precision !== undefined) ? options.precision : 4;
+  const minPrecision = options.minPrecision || 0;
+  const rounding = options.rounding || Rounding.HALF_UP;
+
+  const [integer, fraction = ""] = FormatAmount(value, decimals, precision, rounding).replace("-", "").split(".");
+  const negative = BigInt(value) < BigInt(0) && (integer !== "0" || fraction !== "");
+  const separator = new Intl.NumberFormat(locale).formatToParts(1.1).find((part) => part.type === "decimal").value;
+  const grouped = BigInt(integer).toLocaleString(locale);
+  const digits = fraction.padEnd(minPrecision, "0");
+  return (negative ? "-" : "") + grouped + (digits ? separator + digits : "");
+}
+
 export {
   FromAtto,
-  ToAtto
-}
\ No newline at end of file
+  ToAtto,
+  Rounding,
+  FormatAmount,
+  ParseAmount,
+  DisplayAmount
+}
@@ -0,0 +1,168 @@
+/**
+ * Error codes of `MarketplaceError`; machine readable, e.g. for translating error messages in a UI
+ */
+const ErrorCodes = {
+  SWAP_NOT_FOUND: "SWAP_NOT_FOUND",
+  SWAP_EXPIRED: "SWAP_EXPIRED",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",
+  NOT_APPROVED: "NOT_APPROVED",
+  NFT_NOT_WHITELISTED: "NFT_NOT_WHITELISTED",
+  INVALID_INPUT: "INVALID_INPUT",
+  UNKNOWN: "UNKNOWN"
+};
+
+/**
+ * How marketplace helpers surface errors: `THROW` throws a `MarketplaceError`; `RESULT` returns a result
+ * envelope `{ ok, value, error }` for both successes and failures
+ */
+const ErrorMode = {
+  THROW: "throw",
+  RESULT: "result"
+};
+
+let defaultMode = ErrorMode.THROW;
+
+class MarketplaceError extends Error {
+  /**
+   * @param {String} message : Error message
+   * @param {String} code? : (Optional) One of `ErrorCodes`. Default `ErrorCodes.UNKNOWN`
+   * @param {Error} cause? : (Optional) The original error (e.g. the rpc error of a failed query or tx)
+   */
+  constructor(message, code = ErrorCodes.UNKNOWN, cause = null) {
+    super(message);
+    this.name = "MarketplaceError";
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+class SwapNotFoundError extends MarketplaceError {
+  constructor(message = "Swap not found", cause = null) {
+    super(message, ErrorCodes.SWAP_NOT_FOUND, cause);
+    this.name = "SwapNotFoundError";
+  }
+}
+
+class SwapExpiredError extends MarketplaceError {
+  constructor(message = "Swap expired", cause = null) {
+    super(message, ErrorCodes.SWAP_EXPIRED, cause);
+    this.name = "SwapExpiredError";
+  }
+}
+
+class UnauthorizedError extends MarketplaceError {
+  constructor(message = "Unauthorized", cause = null) {
+    super(message, ErrorCodes.UNAUTHORIZED, cause);
+    this.name = "UnauthorizedError";
+  }
+}
+
+class InsufficientFundsError extends MarketplaceError {
+  constructor(message = "Insufficient funds", cause = null) {
+    super(message, ErrorCodes.INSUFFICIENT_FUNDS, cause);
+    this.name = "InsufficientFundsError";
+  }
+}
+
+class NotApprovedError extends MarketplaceError {
+  constructor(message = "Marketplace is not approved", cause = null) {
+    super(message, ErrorCodes.NOT_APPROVED, cause);
+    this.name = "NotApprovedError";
+  }
+}
+
+class NftNotWhitelistedError extends MarketplaceError {
+  constructor(message = "NFT contract is not whitelisted", cause = null) {
+    super(message, ErrorCodes.NFT_NOT_WHITELISTED, cause);
+    this.name = "NftNotWhitelistedError";
+  }
+}
+
+class InvalidInputError extends MarketplaceError {
+  constructor(message = "Invalid input", cause = null) {
+    super(message, ErrorCodes.INVALID_INPUT, cause);
+    this.name = "InvalidInputError";
+  }
+}
+
+// Abort messages of the marketplace, cw721 and cw20 contracts (and the bank module), in order of precedence
+const Matchers = [
+  [/approval not found|not approved|no approval|no allowance|allowance is (too )?(low|small)|insufficient allowance/i, NotApprovedError],
+  [/whitelist|not (in|on) the curated|unsupported (nft|cw721|collection)|invalid (nft|cw721) contract/i, NftNotWhitelistedError],
+  [/expired/i, SwapExpiredError],
+  [/unauthori[sz]ed|not authori[sz]ed|not the (owner|creator|admin)/i, UnauthorizedError],
+  [/insufficient (funds|balance)|not enough funds|invalid (payment|funds)|is smaller than|cannot sub with/i, InsufficientFundsError],
+  [/not found|does not exist|no such swap/i, SwapNotFoundError]
+];
+
+/**
+ * Parse an error (e.g. a contract abort message of a failed query or tx) into a `MarketplaceError`
+ * @param {Error|String} e : Error to be parsed
+ * @returns {MarketplaceError}
+ */
+function ParseError(e) {
+  if (e instanceof MarketplaceError) return e;
+  const message = (e && e.message) ? e.message : String(e);
+  const ErrorClass = (Matchers.find(([pattern]) => pattern.test(message)) || [])[1];
+  const error = (ErrorClass) ? new ErrorClass(message, e) : new MarketplaceError(message, ErrorCodes.UNKNOWN, e);
+  // Txs of a batch broadcast before it failed (see `BroadcastBatched` in `util/tx.js`)
+  if (e && e.results) {
+    error.results = e.results;
+    error.broadcast = e.broadcast;
+  }
+  return error;
+}
+
+/**
+ * Set the default `ErrorMode` of helpers called without `options.errors`
+ * @param {String} mode : One of `ErrorMode`
+ */
+function SetErrorMode(mode) {
+  if (!Object.values(ErrorMode).includes(mode)) throw new Error("Unknown error mode: " + mode);
+  defaultMode = mode;
+}
+
+function mode(options = {}) {
+  return options.errors || defaultMode;
+}
+
+/**
+ * Return the value of a successful query or tx, according to the `ErrorMode`
+ * @param {*} value : Query or tx result
+ * @param {Object} options? : (Optional) `{ errors }`, one of `ErrorMode`
+ * @returns {*} : `value`, or `{ ok: true, value, error: null }` in `RESULT` mode
+ */
+function Ok(value, options = {}) {
+  if (mode(options) == ErrorMode.RESULT) return { ok: true, value: value, error: null };
+  return value;
+}
+
+/**
+ * Surface the error of a failed query or tx, according to the `ErrorMode`
+ * @param {Error|String} e : The error
+ * @param {Object} options? : (Optional) `{ errors }`, one of `ErrorMode`
+ * @returns {Object} : `{ ok: false, value: null, error }` in `RESULT` mode; throws a `MarketplaceError` in `THROW` mode
+ */
+function Fail(e, options = {}) {
+  const error = ParseError(e);
+  if (mode(options) == ErrorMode.RESULT) return { ok: false, value: null, error: error };
+  throw error;
+}
+
+export {
+  ErrorCodes,
+  ErrorMode,
+  MarketplaceError,
+  SwapNotFoundError,
+  SwapExpiredError,
+  UnauthorizedError,
+  InsufficientFundsError,
+  NotApprovedError,
+  NftNotWhitelistedError,
+  InvalidInputError,
+  ParseError,
+  SetErrorMode,
+  Ok,
+  Fail
+}
@@ -0,0 +1,676 @@
+/* global BigInt */
+import { toBech32, fromUtf8, toUtf8 } from "@cosmjs/encoding";
+import { MsgExecuteContract } from "cosmjs-types/cosmwasm/wasm/v1/tx.js";
+import { TxRaw, TxBody, AuthInfo } from "cosmjs-types/cosmos/tx/v1beta1/tx.js";
+import { Networks } from "./networks.js";
+import { ParseDuration } from "./time.js";
+
+const SALE = "Sale";
+const OFFER = "Offer";
+
+const NANOS_PER_MILLI = BigInt(1000000);
+// Gas of each simulated msg; the mock doesn't meter execution
+const GAS_PER_MSG = 150000;
+// Page size limits of the marketplace's paginated queries
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 99;
+const MAX_LIST_LIMIT = 30;
+// Page size limit of cw721 `tokens` and `all_tokens` queries
+const CW721_MAX_LIMIT = 100;
+
+/**
+ * Deterministic archway address of a name, e.g. for mock accounts and contracts
+ * @param {String} name : Any name, e.g. "alice" or "marketplace"
+ * @param {Number} length? : (Optional) Length of the address in bytes; 20 for accounts (default), 32 for contracts
+ * @returns {String} : e.g. "archway1v9kxjcm9qqqqqqqqqqqqqqqqqqqqqqqq3pklcx"
+ */
+function MockAddress(name, length = 20) {
+  let bytes = new Uint8Array(length);
+  bytes.set(toUtf8(name).slice(0, length));
+  return toBech32(Networks.local.chain.bech32Config.bech32PrefixAccAddr, bytes);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function sortById(a, b) {
+  return (a.id > b.id) ? 1 : (a.id < b.id) ? -1 : 0;
+}
+
+/**
+ * In-memory mock of the marketplace contract, and of the cw721 and cw20 contracts it trades, for offline testing.
+ * `Client(address)` returns a client signed by `address`, which can be passed to any `Query` or `Execute` helper:
+ *
+ *    const mock = MockMarketplace({ fees: 0.1 });
+ *    const alice = MockAddress("alice"), bob = MockAddress("bob");
+ *    mock.Mint("1", alice);
+ *    mock.Fund(bob, "5000000000000000000");
+ *    await Execute.CreateNative("swap1", "1", "7d", "1000000000000000000", "Sale", mock.Client(alice), { preflight: true });
+ *    await Execute.FinishNative("swap1", swap, mock.Client(bob));
+ *
+ * Txs are atomic, as on chain: if any msg of a tx fails, the state is left unchanged. Errors have the messages
+ * of the contracts (e.g. "Swap expired", "Approval not found"), so `ParseError` maps them to the same error classes.
+ * The mock has its own clock; it starts at `options.now` and is moved forward by `Advance`. Helpers that check expirations
+ * themselves (e.g. `Validate`) use the real clock, so swaps expired by `Advance` are only rejected by the mock contract.
+ * Gas fees aren't charged. Broadcast txs can be found again with `searchTx` (e.g. by `Trades` in `history.js`)
+ * @param {Object} options? : (Optional) `{ admin, fees, now, height, marketplace, cw721 }`; `admin` is the address of the
+ * marketplace admin (default `MockAddress("admin")`), `fees` the marketplace fee percentage (default 0), `now` the start
+ * time in milliseconds since epoch (default `Date.now()`), `height` the start block height (default 1), and `marketplace` /
+ * `cw721` the addresses of the marketplace and of its default collection
+ * @returns {Object} : `{ marketplace, cw721, Client, Mint, Fund, AddCw721, AddCw20, Advance, Now, Height, State }`; `marketplace`
+ * and `cw721` are the contract addresses of the marketplace and of its default collection
+ */
+function MockMarketplace(options = {}) {
+  const denom = Networks.local.chain.currencies[0].coinMinimalDenom;
+  const marketplace = options.marketplace || MockAddress("marketplace", 32);
+  const collection = options.cw721 || MockAddress("cw721", 32);
+
+  let state = {
+    time: (options.now instanceof Date) ? options.now.getTime() : (options.now || Date.now()),
+    height: options.height || 1,
+    txs: 0,
+    config: {
+      admin: options.admin || MockAddress("admin"),
+      denom: denom,
+      cw721: [collection],
+      fees: options.fees || 0
+    },
+    swaps: {},
+    // Native balances by address and denom
+    bank: {},
+    // cw721 contracts: `{ name, symbol, tokens: { [token_id]: { owner, approvals, token_uri, extension } } }`
+    cw721: {},
+    // cw20 contracts: `{ name, symbol, decimals, balances: { [address]: amount }, allowances: { ["owner:spender"]: { allowance, expires } } }`
+    cw20: {}
+  };
+  state.cw721[collection] = { name: "Mock NFTs", symbol: "MOCK", tokens: {} };
+  // Broadcast txs, as found by `searchTx`
+  const txs = [];
+
+  // Contract storage
+
+  function expired(expiration) {
+    if (!expiration || expiration.never !== undefined) return false;
+    if (expiration.at_time !== undefined) return BigInt(expiration.at_time) <= BigInt(state.time) * NANOS_PER_MILLI;
+    if (expiration.at_height !== undefined) return Number(expiration.at_height) <= state.height;
+    return false;
+  }
+
+  function amount(value, name = "amount") {
+    if (!/^\d+$/.test(String(value))) fail("Invalid " + name + ": " + value);
+    return BigInt(value);
+  }
+
+  function balanceOf(address, coinDenom) {
+    return BigInt((state.bank[address] || {})[coinDenom] || 0);
+  }
+
+  function send(from, to, value, coinDenom) {
+    let available = balanceOf(from, coinDenom);
+    if (available < value) fail("Insufficient funds: " + available + coinDenom + " is smaller than " + value + coinDenom);
+    if (!state.bank[to]) state.bank[to] = {};
+    state.bank[from][coinDenom] = String(available - value);
+    state.bank[to][coinDenom] = String(balanceOf(to, coinDenom) + value);
+  }
+
+  function nftContract(address) {
+    return state.cw721[address] || fail("No such contract: " + address);
+  }
+
+  function cw20Contract(address) {
+    return state.cw20[address] || fail("No such contract: " + address);
+  }
+
+  function tokenOf(cw721, token_id) {
+    return nftContract(cw721).tokens[token_id] || fail("Token " + token_id + " does not exist");
+  }
+
+  function approved(token, spender) {
+    return token.approvals.some((approval) => approval.spender == spender && !expired(approval.expires));
+  }
+
+  function cw20Transfer(cw20, from, to, value) {
+    let contract = cw20Contract(cw20);
+    let available = BigInt(contract.balances[from] || 0);
+    if (available < value) fail("Cannot Sub with " + available + " and " + value);
+    contract.balances[from] = String(available - value);
+    contract.balances[to] = String(BigInt(contract.balances[to] || 0) + value);
+  }
+
+  function cw20TransferFrom(cw20, spender, from, to, value) {
+    let contract = cw20Contract(cw20);
+    let allowance = contract.allowances[from + ":" + spender] || fail("No allowance for this account");
+    if (expired(allowance.expires)) fail("Allowance is expired");
+    if (BigInt(allowance.allowance) < value) fail("Cannot Sub with " + allowance.allowance + " and " + value);
+    allowance.allowance = String(BigInt(allowance.allowance) - value);
+    cw20Transfer(cw20, from, to, value);
+  }
+
+  function page(swaps, query) {
+    let limit = query.limit || DEFAULT_LIMIT;
+    if (limit < 1 || limit > MAX_LIMIT) fail("Limit must be greater than 0 and less than " + (MAX_LIMIT + 1));
+    let number = query.page || 0;
+    swaps.sort(sortById);
+    if (number > 0 && number * limit >= swaps.length) fail("Page " + number + " not found");
+    return {
+      // Swaps are returned without their ids, as by the contract
+      swaps: swaps.slice(number * limit, (number + 1) * limit).map(({ id, ...swap }) => clone(swap)),
+      page: number,
+      total: swaps.length
+    };
+  }
+
+  function swapsOfType(swap_type) {
+    return Object.values(state.swaps).filter((swap) => swap.swap_type == swap_type);
+  }
+
+  // Marketplace contract
+
+  const MarketplaceQueries = {
+    config: () => clone(state.config),
+    list: (query) => {
+      let ids = Object.keys(state.swaps).sort().filter((id) => !query.start_after || id > query.start_after);
+      return { swaps: ids.slice(0, Math.min(query.limit || DEFAULT_LIMIT, MAX_LIST_LIMIT)) };
+    },
+    details: (query) => {
+      let swap = state.swaps[query.id] || fail("Swap not found");
+      return {
+        creator: swap.creator,
+        contract: swap.nft_contract,
+        payment_token: swap.payment_token,
+        token_id: swap.token_id,
+        expires: clone(swap.expires),
+        price: swap.price,
+        swap_type: swap.swap_type
+      };
+    },
+    swaps_of: (query) => page(swapsOfType(query.swap_type).filter((swap) => swap.creator == query.address), query),
+    get_total: (query) => swapsOfType(query.swap_type || SALE).length,
+    get_offers: (query) => page(swapsOfType(OFFER), query),
+    get_listings: (query) => page(swapsOfType(SALE), query),
+    listings_of_token: (query) => page(Object.values(state.swaps).filter((swap) => swap.token_id == query.token_id
+      && (!query.cw721 || swap.nft_contract == query.cw721)
+      && (!query.swap_type || swap.swap_type == query.swap_type)), query),
+    swaps_by_price: (query) => page(swapsOfType(query.swap_type).filter((swap) => {
+      let price = BigInt(swap.price);
+      if (query.min !== undefined && query.min !== null && price < BigInt(query.min)) return false;
+      if (query.max !== undefined && query.max !== null && price > BigInt(query.max)) return false;
+      return true;
+    }), query),
+    swaps_by_denom: (query) => page(swapsOfType(query.swap_type)
+      .filter((swap) => swap.payment_token == (query.payment_token || null)), query),
+    swaps_by_payment_type: (query) => page(swapsOfType(query.swap_type)
+      .filter((swap) => !!swap.payment_token == !!query.cw20), query)
+  };
+
+  function checkSwap(msg) {
+    if (msg.swap_type !== SALE && msg.swap_type !== OFFER) fail("Invalid swap_type: " + msg.swap_type);
+    if (amount(msg.price, "price") == BigInt(0)) fail("Invalid price: price must be greater than 0");
+    if (expired(msg.expires)) fail("Swap expired: expiration is in the past");
+  }
+
+  function checkAdmin(sender) {
+    if (sender !== state.config.admin) fail("Unauthorized: sender is not the admin");
+  }
+
+  const MarketplaceExecutes = {
+    create: (msg, sender) => {
+      if (state.swaps[msg.id]) fail("Swap id " + msg.id + " already exists");
+      checkSwap(msg);
+      let cw721 = msg.cw721 || state.config.cw721[0];
+      if (!state.config.cw721.includes(cw721)) fail("NFT contract " + cw721 + " is not whitelisted");
+      let token = tokenOf(cw721, msg.token_id);
+      if (msg.swap_type == SALE) {
+        if (token.owner !== sender) fail("Unauthorized: sender is not the owner of token " + msg.token_id);
+        if (!approved(token, marketplace)) fail("Approval not found for token " + msg.token_id);
+      } else {
+        if (!msg.payment_token) fail("Offers must be paid with a cw20 payment_token");
+        if (token.owner == sender) fail("Unauthorized: can't make an offer on an owned token");
+      }
+      if (msg.payment_token) cw20Contract(msg.payment_token);
+      state.swaps[msg.id] = {
+        id: msg.id,
+        creator: sender,
+        nft_contract: cw721,
+        payment_token: msg.payment_token || null,
+        token_id: msg.token_id,
+        expires: clone(msg.expires),
+        price: String(msg.price),
+        swap_type: msg.swap_type
+      };
+      return { id: msg.id, token_id: msg.token_id, price: String(msg.price), swap_type: msg.swap_type };
+    },
+    finish: (msg, sender, funds) => {
+      let swap = state.swaps[msg.id] || fail("Swap not found");
+      if (expired(swap.expires)) fail("Swap expired");
+      if (String(msg.price) !== swap.price || (msg.payment_token || null) !== swap.payment_token) {
+        fail("Invalid payment: the swap's price or payment token doesn't match");
+      }
+      if (sender == swap.creator) fail("Unauthorized: can't finish an own swap");
+      let token = tokenOf(swap.nft_contract, swap.token_id);
+      let buyer = (swap.swap_type == SALE) ? sender : swap.creator;
+      let seller = (swap.swap_type == SALE) ? swap.creator : sender;
+      if (token.owner !== seller) fail("Unauthorized: seller is not the owner of token " + swap.token_id);
+      if (!approved(token, marketplace)) fail("Approval not found for token " + swap.token_id);
+      // Payment
+      let price = BigInt(swap.price);
+      let fee = price * BigInt(Math.round(state.config.fees * 10000)) / BigInt(10000);
+      if (swap.payment_token) {
+        cw20TransferFrom(swap.payment_token, marketplace, buyer, seller, price - fee);
+        if (fee > BigInt(0)) cw20TransferFrom(swap.payment_token, marketplace, buyer, marketplace, fee);
+      } else {
+        let paid = funds.filter((coin) => coin.denom == denom).reduce((sum, coin) => sum + BigInt(coin.amount), BigInt(0));
+        if (paid !== price) fail("Insufficient funds: sent " + paid + denom + ", expected " + price + denom);
+        send(marketplace, seller, price - fee, denom);
+      }
+      // Transfer
+      token.owner = buyer;
+      token.approvals = [];
+      delete state.swaps[msg.id];
+      return { id: msg.id, token_id: swap.token_id, price: swap.price, seller: seller, buyer: buyer };
+    },
+    cancel: (msg, sender) => {
+      let swap = state.swaps[msg.id] || fail("Swap not found");
+      if (sender !== swap.creator) fail("Unauthorized: sender is not the creator of swap " + msg.id);
+      delete state.swaps[msg.id];
+      return { id: msg.id };
+    },
+    update: (msg, sender) => {
+      let swap = state.swaps[msg.id] || fail("Swap not found");
+      if (sender !== swap.creator) fail("Unauthorized: sender is not the creator of swap " + msg.id);
+      checkSwap({ ...msg, swap_type: swap.swap_type });
+      swap.expires = clone(msg.expires);
+      swap.price = String(msg.price);
+      return { id: msg.id, price: swap.price };
+    },
+    update_config: (msg, sender) => {
+      checkAdmin(sender);
+      state.config = clone(msg.config);
+      return {};
+    },
+    add_nft: (msg, sender) => {
+      checkAdmin(sender);
+      if (!state.config.cw721.includes(msg.cw721)) state.config.cw721.push(msg.cw721);
+      return { cw721: msg.cw721 };
+    },
+    remove_nft: (msg, sender) => {
+      checkAdmin(sender);
+      state.config.cw721 = state.config.cw721.filter((cw721) => cw721 !== msg.cw721);
+      return { cw721: msg.cw721 };
+    },
+    withdraw: (msg, sender) => {
+      checkAdmin(sender);
+      let value = amount(msg.amount);
+      if (msg.payment_token) cw20Transfer(msg.payment_token, marketplace, sender, value);
+      else send(marketplace, sender, value, denom);
+      return { amount: String(value) };
+    }
+  };
+
+  // cw721 contracts
+
+  const Cw721Queries = {
+    owner_of: (query, cw721) => {
+      let token = tokenOf(cw721, query.token_id);
+      return { owner: token.owner, approvals: clone(token.approvals.filter((approval) => !expired(approval.expires))) };
+    },
+    approval: (query, cw721) => {
+      let token = tokenOf(cw721, query.token_id);
+      let approval = token.approvals.find((approval) => approval.spender == query.spender
+        && (query.include_expired || !expired(approval.expires)));
+      if (!approval) fail("Approval not found for: " + query.spender);
+      return { approval: clone(approval) };
+    },
+    approvals: (query, cw721) => {
+      let token = tokenOf(cw721, query.token_id);
+      return { approvals: clone(token.approvals.filter((approval) => query.include_expired || !expired(approval.expires))) };
+    },
+    nft_info: (query, cw721) => {
+      let token = tokenOf(cw721, query.token_id);
+      return { token_uri: token.token_uri, extension: clone(token.extension) };
+    },
+    all_nft_info: (query, cw721) => ({
+      access: Cw721Queries.owner_of(query, cw721),
+      info: Cw721Queries.nft_info(query, cw721)
+    }),
+    tokens: (query, cw721) => {
+      let ids = Object.keys(nftContract(cw721).tokens).sort()
+        .filter((id) => nftContract(cw721).tokens[id].owner == query.owner && (!query.start_after || id > query.start_after));
+      return { tokens: ids.slice(0, Math.min(query.limit || DEFAULT_LIMIT, CW721_MAX_LIMIT)) };
+    },
+    all_tokens: (query, cw721) => {
+      let ids = Object.keys(nftContract(cw721).tokens).sort().filter((id) => !query.start_after || id > query.start_after);
+      return { tokens: ids.slice(0, Math.min(query.limit || DEFAULT_LIMIT, CW721_MAX_LIMIT)) };
+    },
+    num_tokens: (query, cw721) => ({ count: Object.keys(nftContract(cw721).tokens).length }),
+    contract_info: (query, cw721) => ({ name: nftContract(cw721).name, symbol: nftContract(cw721).symbol })
+  };
+
+  const Cw721Executes = {
+    approve: (msg, sender, funds, cw721) => {
+      let token = tokenOf(cw721, msg.token_id);
+      if (token.owner !== sender) fail("Unauthorized: sender is not the owner of token " + msg.token_id);
+      token.approvals = token.approvals.filter((approval) => approval.spender !== msg.spender);
+      token.approvals.push({ spender: msg.spender, expires: clone(msg.expires || { never: {} }) });
+      return { token_id: msg.token_id, spender: msg.spender };
+    },
+    revoke: (msg, sender, funds, cw721) => {
+      let token = tokenOf(cw721, msg.token_id);
+      if (token.owner !== sender) fail("Unauthorized: sender is not the owner of token " + msg.token_id);
+      token.approvals = token.approvals.filter((approval) => approval.spender !== msg.spender);
+      return { token_id: msg.token_id, spender: msg.spender };
+    },
+    transfer_nft: (msg, sender, funds, cw721) => {
+      let token = tokenOf(cw721, msg.token_id);
+      if (token.owner !== sender && !approved(token, sender)) fail("Unauthorized: sender can't transfer token " + msg.token_id);
+      token.owner = msg.recipient;
+      token.approvals = [];
+      return { token_id: msg.token_id, recipient: msg.recipient };
+    },
+    send_nft: (msg, sender, funds, cw721) => Cw721Executes.transfer_nft({ token_id: msg.token_id, recipient: msg.contract }, sender, funds, cw721)
+  };
+
+  // cw20 contracts
+
+  const Cw20Queries = {
+    token_info: (query, cw20) => {
+      let contract = cw20Contract(cw20);
+      let supply = Object.values(contract.balances).reduce((sum, balance) => sum + BigInt(balance), BigInt(0));
+      return { name: contract.name, symbol: contract.symbol, decimals: contract.decimals, total_supply: String(supply) };
+    },
+    balance: (query, cw20) => ({ balance: cw20Contract(cw20).balances[query.address] || "0" }),
+    allowance: (query, cw20) => {
+      let allowance = cw20Contract(cw20).allowances[query.owner + ":" + query.spender];
+      return (allowance) ? clone(allowance) : { allowance: "0", expires: { never: {} } };
+    }
+  };
+
+  // As in cw20-base, allowances keep their expiration unless a new one is given, and expired allowances keep their amount
+  function allowanceExpiration(allowance, expires) {
+    if (!expires) return;
+    if (expired(expires)) fail("Invalid expiration value");
+    allowance.expires = clone(expires);
+  }
+
+  const Cw20Executes = {
+    increase_allowance: (msg, sender, funds, cw20) => {
+      if (msg.spender == sender) fail("Cannot set to own account");
+      let allowances = cw20Contract(cw20).allowances;
+      let key = sender + ":" + msg.spender;
+      let allowance = allowances[key] || { allowance: "0", expires: { never: {} } };
+      allowanceExpiration(allowance, msg.expires);
+      allowance.allowance = String(BigInt(allowance.allowance) + amount(msg.amount));
+      allowances[key] = allowance;
+      return { spender: msg.spender, amount: String(msg.amount) };
+    },
+    decrease_allowance: (msg, sender, funds, cw20) => {
+      if (msg.spender == sender) fail("Cannot set to own account");
+      let allowances = cw20Contract(cw20).allowances;
+      let key = sender + ":" + msg.spender;
+      let allowance = allowances[key] || fail("No allowance for this account");
+      let value = amount(msg.amount);
+      if (value >= BigInt(allowance.allowance)) {
+        delete allowances[key];
+      } else {
+        allowanceExpiration(allowance, msg.expires);
+        allowance.allowance = String(BigInt(allowance.allowance) - value);
+      }
+      return { spender: msg.spender, amount: String(msg.amount) };
+    },
+    transfer: (msg, sender, funds, cw20) => {
+      cw20Transfer(cw20, sender, msg.recipient, amount(msg.amount));
+      return { recipient: msg.recipient, amount: String(msg.amount) };
+    }
+  };
+
+  // Chain
+
+  function handlers(contract) {
+    if (contract == marketplace) return [MarketplaceQueries, MarketplaceExecutes];
+    if (state.cw721[contract]) return [Cw721Queries, Cw721Executes];
+    if (state.cw20[contract]) return [Cw20Queries, Cw20Executes];
+    return fail("No such contract: " + contract);
+  }
+
+  function route(entrypoints, msg) {
+    let keys = Object.keys(msg || {});
+    if (keys.length !== 1 || !entrypoints[keys[0]]) fail("Error parsing into type: unknown variant `" + keys[0] + "`");
+    return [keys[0], entrypoints[keys[0]]];
+  }
+
+  async function queryContractSmart(contract, msg) {
+    let [queries] = handlers(contract);
+    let [name, query] = route(queries, msg);
+    return query(msg[name], contract);
+  }
+
+  // Run the executions of a tx; on error, the state before the tx is restored
+  function run(sender, instructions) {
+    let snapshot = clone(state);
+    try {
+      let events = [];
+      instructions.forEach((instruction) => {
+        let contract = instruction.contractAddress;
+        let [, executes] = handlers(contract);
+        let [name, execute] = route(executes, instruction.msg);
+        let funds = instruction.funds || [];
+        funds.forEach((coin) => send(sender, contract, amount(coin.amount), coin.denom));
+        let attributes = execute(instruction.msg[name], sender, funds, contract);
+        events.push({
+          type: "wasm",
+          attributes: [
+            { key: "_contract_address", value: contract },
+            { key: "action", value: name },
+            ...Object.entries(attributes).map(([key, value]) => ({ key: key, value: String(value) }))
+          ]
+        });
+      });
+      return events;
+    } catch (e) {
+      state = snapshot;
+      throw e;
+    }
+  }
+
+  // Raw bytes of a tx of `MsgExecuteContract` msgs, as decoded by `decodeTxRaw`; it isn't signed
+  function encodeTx(sender, instructions, memo) {
+    let messages = instructions.map((instruction) => ({
+      typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
+      value: MsgExecuteContract.encode(MsgExecuteContract.fromPartial({
+        sender: sender,
+        contract: instruction.contractAddress,
+        msg: toUtf8(JSON.stringify(instruction.msg)),
+        funds: instruction.funds || []
+      })).finish()
+    }));
+    return TxRaw.encode(TxRaw.fromPartial({
+      bodyBytes: TxBody.encode(TxBody.fromPartial({ messages: messages, memo: memo })).finish(),
+      authInfoBytes: AuthInfo.encode(AuthInfo.fromPartial({})).finish(),
+      signatures: []
+    })).finish();
+  }
+
+  function WasmClient(signer) {
+    function checkSigner(sender) {
+      if (sender !== signer) fail("Signer " + signer + " can't sign for " + sender);
+    }
+
+    async function executeMultiple(sender, instructions, fee, memo = "") {
+      checkSigner(sender);
+      let events = run(sender, instructions);
+      state.height += 1;
+      state.txs += 1;
+      let gas = GAS_PER_MSG * instructions.length;
+      let result = {
+        logs: [],
+        height: state.height,
+        transactionHash: String(state.txs).padStart(64, "0"),
+        events: events,
+        gasWanted: (fee && fee.gas) ? Number(fee.gas) : gas,
+        gasUsed: gas
+      };
+      txs.push({
+        height: result.height,
+        txIndex: 0,
+        hash: result.transactionHash,
+        code: 0,
+        events: events,
+        tx: encodeTx(sender, instructions, memo),
+        gasWanted: result.gasWanted,
+        gasUsed: result.gasUsed
+      });
+      return result;
+    }
+
+    async function execute(sender, contract, msg, fee, memo = "", funds = []) {
+      return executeMultiple(sender, [{ contractAddress: contract, msg: msg, funds: funds }], fee, memo);
+    }
+
+    async function simulate(sender, messages) {
+      checkSigner(sender);
+      let instructions = messages.map((message) => {
+        let value = (message.value instanceof Uint8Array) ? MsgExecuteContract.decode(message.value) : message.value;
+        return { contractAddress: value.contract, msg: JSON.parse(fromUtf8(value.msg)), funds: value.funds };
+      });
+      // Dry-run
+      let snapshot = clone(state);
+      try {
+        run(sender, instructions);
+      } finally {
+        state = snapshot;
+      }
+      return GAS_PER_MSG * instructions.length;
+    }
+
+    // Only `execute._contract_address` and `tx.height` conditions are supported
+    async function searchTx(query) {
+      let contract = (/execute\._contract_address='([^']+)'/.exec(query) || [])[1];
+      let from = Number((/tx\.height>=(\d+)/.exec(query) || [])[1] || 0);
+      let to = Number((/tx\.height<=(\d+)/.exec(query) || [])[1] || Infinity);
+      return txs.filter((tx) => tx.height >= from && tx.height <= to)
+        .filter((tx) => !contract || tx.events.some((event) => event.attributes.some((attribute) => attribute.key == "_contract_address" && attribute.value == contract)))
+        .map((tx) => ({ ...tx, events: clone(tx.events) }));
+    }
+
+    return {
+      queryClient: { wasm: { queryContractSmart: queryContractSmart } },
+      execute: execute,
+      executeMultiple: executeMultiple,
+      simulate: simulate,
+      searchTx: searchTx,
+      getHeight: async () => state.height,
+      getBalance: async (address, coinDenom) => ({ denom: coinDenom, amount: String(balanceOf(address, coinDenom)) }),
+      getBlock: async () => ({ header: { height: state.height, time: new Date(state.time).toISOString() } })
+    };
+  }
+
+  const network = {
+    ...Networks.local,
+    name: "mock",
+    rpc: "mock://" + marketplace,
+    rest: "mock://" + marketplace,
+    contracts: { marketplace: marketplace, minter: null, cw721: collection }
+  };
+
+  /**
+   * Client signed by a wallet address, in the shape of `SigningClient` (see `util/client.js`)
+   * @param {String} address : Address of the signer, e.g. `MockAddress("alice")`
+   * @returns {Object} : `{ wasmClient, offlineSigner, chainInfo, fees, network }`
+   */
+  function Client(address) {
+    return {
+      wasmClient: WasmClient(address),
+      offlineSigner: { getAccounts: async () => [{ address: address, algo: "secp256k1", pubkey: new Uint8Array(33) }] },
+      chainInfo: network.chain,
+      fees: "auto",
+      network: network
+    };
+  }
+
+  /**
+   * Mint an NFT
+   * @param {String} token_id : ID of the token
+   * @param {String} owner : Address of the owner
+   * @param {Object} extension? : (Optional) Metadata of the token
+   * @param {String} cw721? : (Optional) Collection; defaults to the marketplace's default collection
+   */
+  function Mint(token_id, owner, extension = {}, cw721 = collection) {
+    let contract = nftContract(cw721);
+    if (contract.tokens[token_id]) fail("Token " + token_id + " already claimed");
+    contract.tokens[token_id] = { owner: owner, approvals: [], token_uri: null, extension: clone(extension) };
+  }
+
+  /**
+   * Add native or cw20 tokens to the balance of an address
+   * @param {String} address : Receiver
+   * @param {String|Number} value : Amount, in atomic units
+   * @param {String} payment_token? : (Optional) cw20 contract address; `null` for native ARCH (default)
+   */
+  function Fund(address, value, payment_token = null) {
+    if (payment_token) {
+      let contract = cw20Contract(payment_token);
+      contract.balances[address] = String(BigInt(contract.balances[address] || 0) + amount(value));
+      return;
+    }
+    if (!state.bank[address]) state.bank[address] = {};
+    state.bank[address][denom] = String(balanceOf(address, denom) + amount(value));
+  }
+
+  /**
+   * Deploy a cw721 collection; it's added to the marketplace's curated collections unless `whitelist` is false
+   * @param {String} name : Name of the collection
+   * @param {String} symbol? : (Optional) Symbol of the collection
+   * @param {Boolean} whitelist? : (Optional) Default true
+   * @returns {String} : Contract address of the collection
+   */
+  function AddCw721(name, symbol = "NFT", whitelist = true) {
+    let address = MockAddress(name, 32);
+    state.cw721[address] = { name: name, symbol: symbol, tokens: {} };
+    if (whitelist && !state.config.cw721.includes(address)) state.config.cw721.push(address);
+    return address;
+  }
+
+  /**
+   * Deploy a cw20 token
+   * @param {String} symbol : Symbol of the token
+   * @param {Number} decimals? : (Optional) Default 6
+   * @returns {String} : Contract address of the token
+   */
+  function AddCw20(symbol, decimals = 6) {
+    let address = MockAddress(symbol, 32);
+    state.cw20[address] = { name: symbol, symbol: symbol, decimals: decimals, balances: {}, allowances: {} };
+    return address;
+  }
+
+  /**
+   * Move the clock and the block height forward, e.g. to expire swaps
+   * @param {Number|String} duration : Milliseconds, or a duration such as "7d"
+   * @param {Number} blocks? : (Optional) Blocks to add to the height. Default 1
+   */
+  function Advance(duration, blocks = 1) {
+    state.time += (typeof duration == "string") ? ParseDuration(duration) : Number(duration);
+    state.height += blocks;
+  }
+
+  return {
+    marketplace: marketplace,
+    cw721: collection,
+    Client,
+    Mint,
+    Fund,
+    AddCw721,
+    AddCw20,
+    Advance,
+    Now: () => new Date(state.time),
+    Height: () => state.height,
+    State: () => clone(state)
+  };
+}
+
+// Export
+export { MockAddress, MockMarketplace }
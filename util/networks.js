@@ -0,0 +1,130 @@
+const Bech32Config = {bech32PrefixAccAddr: "archway",bech32PrefixAccPub: "archwaypub",bech32PrefixValAddr: "archwayvaloper",bech32PrefixValPub: "archwayvaloperpub",bech32PrefixConsAddr: "archwayvalcons",bech32PrefixConsPub: "archwayvalconspub"};
+
+/**
+ * Network profiles. Each profile holds the Keplr chain info (`chain`), its RPC and REST
+ * endpoints, the gas price used for fees and the addresses of the marketplace, minter and
+ * cw721 contracts deployed on that network.
+ */
+const Networks = {
+  mainnet: {
+    name: "mainnet",
+    rpc: process.env.VUE_APP_MAINNET_RPC || "https://rpc.mainnet.archway.io",
+    rest: process.env.VUE_APP_MAINNET_REST || "https://api.mainnet.archway.io",
+    gasPrice: "140000000000aarch",
+    chain: {
+      chainId: "archway-1",
+      chainName: "Archway",
+      rpc: process.env.VUE_APP_MAINNET_RPC || "https://rpc.mainnet.archway.io",
+      rest: process.env.VUE_APP_MAINNET_REST || "https://api.mainnet.archway.io",
+      stakeCurrency: {coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 6,},
+      bech32Config: Bech32Config,
+      currencies: [{coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 18,}],
+      feeCurrencies: [{coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 18,gasPriceStep: {low: 0,average: 0.1,high: 0.2},}],
+      features: ['cosmwasm']
+    },
+    contracts: {
+      marketplace: process.env.VUE_APP_MARKETPLACE_CONTRACT,
+      minter: process.env.VUE_APP_MINTING_CONTRACT,
+      cw721: process.env.VUE_APP_CW721_CONTRACT
+    }
+  },
+  constantine: {
+    name: "constantine",
+    rpc: process.env.VUE_APP_CONSTANTINE_RPC || "https://rpc.constantine.archway.io",
+    rest: process.env.VUE_APP_CONSTANTINE_REST || "https://api.constantine.archway.io",
+    gasPrice: "140000000000aconst",
+    chain: {
+      chainId: "constantine-3",
+      chainName: "Archway Constantine",
+      rpc: process.env.VUE_APP_CONSTANTINE_RPC || "https://rpc.constantine.archway.io",
+      rest: process.env.VUE_APP_CONSTANTINE_REST || "https://api.constantine.archway.io",
+      stakeCurrency: {coinDenom: "CONST",coinMinimalDenom: "aconst",coinDecimals: 18,},
+      bech32Config: Bech32Config,
+      currencies: [{coinDenom: "CONST",coinMinimalDenom: "aconst",coinDecimals: 18,}],
+      feeCurrencies: [{coinDenom: "CONST",coinMinimalDenom: "aconst",coinDecimals: 18,gasPriceStep: {low: 0,average: 0.1,high: 0.2},}],
+      features: ['cosmwasm']
+    },
+    contracts: {
+      marketplace: process.env.VUE_APP_CONSTANTINE_MARKETPLACE_CONTRACT,
+      minter: process.env.VUE_APP_CONSTANTINE_MINTING_CONTRACT,
+      cw721: process.env.VUE_APP_CONSTANTINE_CW721_CONTRACT
+    }
+  },
+  local: {
+    name: "local",
+    rpc: process.env.VUE_APP_LOCAL_RPC || "http://localhost:26657",
+    rest: process.env.VUE_APP_LOCAL_REST || "http://localhost:1317",
+    gasPrice: "0aarch",
+    chain: {
+      chainId: process.env.VUE_APP_LOCAL_CHAIN_ID || "localnet",
+      chainName: "Archway Local",
+      rpc: process.env.VUE_APP_LOCAL_RPC || "http://localhost:26657",
+      rest: process.env.VUE_APP_LOCAL_REST || "http://localhost:1317",
+      stakeCurrency: {coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 18,},
+      bech32Config: Bech32Config,
+      currencies: [{coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 18,}],
+      feeCurrencies: [{coinDenom: "ARCH",coinMinimalDenom: "aarch",coinDecimals: 18,gasPriceStep: {low: 0,average: 0,high: 0},}],
+      features: ['cosmwasm']
+    },
+    contracts: {
+      marketplace: process.env.VUE_APP_LOCAL_MARKETPLACE_CONTRACT,
+      minter: process.env.VUE_APP_LOCAL_MINTING_CONTRACT,
+      cw721: process.env.VUE_APP_LOCAL_CW721_CONTRACT
+    }
+  }
+};
+
+let active = process.env.VUE_APP_NETWORK || "mainnet";
+
+/**
+ * Get a network profile
+ * @param {String|Object} network? : (Optional) Name of a profile (e.g. "mainnet", "constantine", "local"), or a profile object. Defaults to the active profile
+ * @returns {Object} : The network profile
+ */
+function Network(network = null) {
+  if (network && typeof network === 'object') return network;
+  let name = network || active;
+  if (!Networks[name]) throw new Error("Unknown network: " + name);
+  return Networks[name];
+}
+
+/**
+ * Select the network profile used by default for new clients and contract helpers
+ * @param {String} name : Name of a registered profile
+ * @returns {Object} : The selected network profile
+ */
+function UseNetwork(name) {
+  let network = Network(name);
+  active = network.name;
+  return network;
+}
+
+/**
+ * Register a custom network profile (or replace a built-in one)
+ * @param {String} name : Name of the profile
+ * @param {Object} profile : A profile with the same shape as the built-in ones
+ * @returns {Object} : The registered network profile
+ */
+function AddNetwork(name, profile) {
+  Networks[name] = Object.assign({}, profile, { name: name });
+  return Networks[name];
+}
+
+/**
+ * Get a contract address of a client's network; falls back to the active profile
+ * @param {Object} client : A client created by one of the factories in `util/client.js`
+ * @param {String} contract : One of "marketplace", "minter" or "cw721"
+ * @returns {String} : Contract address
+ */
+function ContractAddress(client, contract) {
+  let network = (client && client.network) ? client.network : Network();
+  return network.contracts[contract];
+}
+
+export {
+  Networks,
+  Network,
+  UseNetwork,
+  AddNetwork,
+  ContractAddress
+}
@@ -0,0 +1,89 @@
+// Max. results per page accepted by the marketplace's paged queries, which take a `limit` less than 100
+const MAX_LIMIT = 99;
+// Max. results per page accepted by `start_after` (cursor) queries, e.g. marketplace `List`
+const MAX_CURSOR_LIMIT = 30;
+
+/**
+ * Iterate all results of a query paginated by page numbers (e.g. `{ swaps, page, total }` responses)
+ * @param {Function} fetchPage : `async (page, limit) => QueryResult`
+ * @param {Object} options? : (Optional) `{ limit, concurrency, page, key }`; `limit` is the page size (default and maximum 99),
+ * `concurrency` the amount of pages fetched at once (default 1), `page` the first page (default 0) and `key` the attribute of
+ * the response holding the results (default "swaps")
+ * @yields {Object} : Each result, in page order
+ */
+async function* Pages(fetchPage, options = {}) {
+  const limit = Math.min(options.limit || MAX_LIMIT, MAX_LIMIT);
+  const concurrency = Math.max(options.concurrency || 1, 1);
+  const key = options.key || "swaps";
+
+  let page = options.page || 0;
+  let first = await fetchPage(page, limit);
+  if (first.error) throw first.error;
+  let results = first[key] || [];
+  yield* results;
+
+  // Pages are 0 indexed; `total` is the amount of results across all pages
+  const last = Math.ceil(Number(first.total || 0) / limit) - 1;
+  if (results.length < limit) return;
+
+  page += 1;
+  while (page <= last) {
+    let batch = [];
+    for (let i = page; i <= last && batch.length < concurrency; i++) {
+      batch.push(fetchPage(i, limit));
+    }
+    let responses = await Promise.all(batch);
+    for (const response of responses) {
+      if (response.error) throw response.error;
+      results = response[key] || [];
+      yield* results;
+      if (results.length < limit) return;
+    }
+    page += batch.length;
+  }
+}
+
+/**
+ * Iterate all results of a query paginated by `start_after` cursors (e.g. marketplace `List`, cw721 `Tokens`)
+ * @param {Function} fetchAfter : `async (start_after, limit) => QueryResult`
+ * @param {Object} options? : (Optional) `{ limit, start, key, cursor }`; `limit` is the page size (default and maximum 30),
+ * `start` the cursor to start after (default null), `key` the attribute of the response holding the results (default "swaps")
+ * and `cursor` a function returning the cursor of a result (default: the result itself, e.g. a swap id)
+ * @yields {Object} : Each result, in order
+ */
+async function* Cursor(fetchAfter, options = {}) {
+  const limit = Math.min(options.limit || MAX_CURSOR_LIMIT, MAX_CURSOR_LIMIT);
+  const key = options.key || "swaps";
+  const cursor = options.cursor || ((result) => result);
+
+  let start = options.start || null;
+  while (true) {
+    let response = await fetchAfter(start, limit);
+    if (response.error) throw response.error;
+    let results = response[key] || [];
+    yield* results;
+    if (results.length < limit) return;
+    start = cursor(results[results.length - 1]);
+  }
+}
+
+/**
+ * Collect all results of an iterator into an array
+ * @param {AsyncIterable} iterator : e.g. the result of `Pages` or `Cursor`
+ * @returns {Array}
+ */
+async function All(iterator) {
+  let results = [];
+  for await (const result of iterator) {
+    results.push(result);
+  }
+  return results;
+}
+
+export {
+  MAX_LIMIT,
+  MAX_CURSOR_LIMIT,
+  Pages,
+  Cursor,
+  All
+}
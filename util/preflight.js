@@ -0,0 +1,79 @@
+/* global BigInt */
+import { Query as Cw721Query } from '../cw721-contract/cw721.js';
+import { Query as Cw20Query } from '../cw20-contract/cw20.js';
+import { HasExpired, Expiration } from './time.js';
+import { ParseError, NotApprovedError, InvalidInputError } from './errors.js';
+
+/**
+ * Preflight checks for txs that need a cw721 approval or a cw20 allowance. Each check
+ * returns the execute instructions (see `executeMultiple`) that are missing, so they can
+ * be sent in the same tx as the msg that depends on them.
+ */
+
+/**
+ * Check if `spender` is approved to transfer an NFT and, if not, build the `Approve` msg
+ * @param {String} token_id : ID of the token
+ * @param {String} cw721 : Contract address of the collection
+ * @param {String} spender : Address of the operator (e.g. the marketplace contract)
+ * @param {SigningCosmWasmClient} client : instance of signing client
+ * @returns {Array} : `[]` if approved, else an array with a cw721 `Approve` instruction
+ * @throws {Error} : The error of the `Approval` query, unless it's a missing approval (e.g. an unknown token, or a failed RPC request)
+ */
+async function NftApproval(token_id, cw721, spender, client) {
+  let approval = await Cw721Query.Approval(token_id, spender, cw721, client);
+  if (!approval.error) return [];
+  if (!(ParseError(approval.error) instanceof NotApprovedError)) throw approval.error;
+  return [{
+    contractAddress: cw721,
+    msg: {
+      approve: {
+        spender: spender,
+        token_id: token_id,
+        expires: null
+      }
+    }
+  }];
+}
+
+/**
+ * Check if `owner` has allowed `spender` to spend at least `amount` cw20 tokens and, if not, build the msg for the
+ * missing amount. cw20 contracts keep the amount of an expired allowance, and add to it, so an expired allowance is
+ * increased (or decreased) to exactly `amount`, with the new expiration `expires`; without it, the expired allowance
+ * can't be renewed and an `InvalidInputError` is thrown. A valid allowance keeps its expiration
+ * @param {String} cw20 : Contract address of the cw20 token
+ * @param {String|Number} amount : Required allowance, in the cw20's atomic units
+ * @param {String} owner : Wallet address of the token owner
+ * @param {String} spender : Address of the spender (e.g. the marketplace contract)
+ * @param {SigningCosmWasmClient} client : instance of signing client
+ * @param {Date|String|Number|Object} expires? : (Optional) Expiration of a renewed expired allowance, e.g. "30d" or "never"; see
+ * `Expiration` in `util/time.js`
+ * @returns {Array} : `[]` if the allowance is sufficient, else an array with a cw20 `IncreaseAllowance` (or `DecreaseAllowance`) instruction
+ */
+async function Cw20Allowance(cw20, amount, owner, spender, client, expires = null) {
+  let required = BigInt(amount);
+  let allowance = await Cw20Query.Allowance(cw20, owner, spender, client);
+  if (allowance.error) throw allowance.error;
+  let current = BigInt(allowance.allowance);
+
+  if (!(await HasExpired(allowance.expires, client))) {
+    if (current >= required) return [];
+    return [{
+      contractAddress: cw20,
+      msg: { increase_allowance: { spender: spender, amount: String(required - current), expires: null } }
+    }];
+  }
+
+  if (expires === null || expires === undefined) {
+    throw new InvalidInputError("The cw20 allowance of " + spender + " expired; pass an expiration to renew it");
+  }
+  let renewal = { spender: spender, amount: String((current > required) ? current - required : required - current), expires: Expiration(expires) };
+  return [{
+    contractAddress: cw20,
+    msg: (current > required) ? { decrease_allowance: renewal } : { increase_allowance: renewal }
+  }];
+}
+
+export {
+  NftApproval,
+  Cw20Allowance
+}
@@ -0,0 +1,137 @@
+/* global BigInt */
+
+const NANOS_PER_MILLI = BigInt(1000000);
+
+const DurationUnits = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "7d", "12h", "1d12h" or "30m" (units: s, m, h, d, w)
+ * @param {String} duration : Duration string
+ * @returns {Number} : Duration in milliseconds
+ */
+function ParseDuration(duration) {
+  const str = String(duration).trim();
+  if (!/^(\d+(\.\d+)?[smhdw])+$/.test(str)) throw new Error("Invalid duration: " + duration);
+  let ms = 0;
+  for (const [, amount, unit] of str.matchAll(/(\d+(?:\.\d+)?)([smhdw])/g)) {
+    ms += Number(amount) * DurationUnits[unit];
+  }
+  return Math.round(ms);
+}
+
+/**
+ * Convert a JS Date (or milliseconds since epoch) to a nanosecond timestamp string, as used by `at_time`
+ * @param {Date|Number} date : Date to be converted
+ * @returns {String} : e.g. "1724388997000000000"
+ */
+function ToNanos(date) {
+  const ms = (date instanceof Date) ? date.getTime() : Number(date);
+  return (BigInt(Math.round(ms)) * NANOS_PER_MILLI).toString();
+}
+
+/**
+ * Convert a nanosecond timestamp (e.g. `expires.at_time`) to a JS Date
+ * @param {String|Number} nanos : Nanosecond timestamp
+ * @returns {Date}
+ */
+function FromNanos(nanos) {
+  return new Date(Number(BigInt(nanos) / NANOS_PER_MILLI));
+}
+
+/**
+ * Convert a numeric timestamp in seconds, milliseconds or nanoseconds to nanoseconds
+ * (e.g. 1724388997, 1724388997000 or "1724388997000000000")
+ */
+function timestampToNanos(timestamp) {
+  const value = BigInt(String(timestamp).split('.')[0]);
+  if (value < BigInt(100000000000)) return (value * BigInt(1000000000)).toString();   // seconds
+  if (value < BigInt(100000000000000)) return (value * NANOS_PER_MILLI).toString();   // milliseconds
+  return value.toString();                                                            // nanoseconds
+}
+
+/**
+ * Build a cw `Expiration` from any supported input
+ * @param {Date|String|Number|Object} input : One of:
+ *  - a JS `Date`
+ *  - a duration from now, e.g. "7d" or "12h" (see `ParseDuration`)
+ *  - a timestamp in seconds, milliseconds or nanoseconds (e.g. 1724388997, or "1724388997000000000")
+ *  - "never"
+ *  - a cw `Expiration`: `{ at_time }`, `{ at_height }` or `{ never: {} }`
+ * @param {Date|Number} now? : (Optional) Reference time for durations. Default `Date.now()`
+ * @returns {Object} : e.g. `{ at_time: "1724388997000000000" }`, `{ at_height: 1200000 }` or `{ never: {} }`
+ */
+function Expiration(input, now = Date.now()) {
+  if (input === null || input === undefined) throw new Error("Expiration is required");
+  if (input instanceof Date) {
+    if (isNaN(input.getTime())) throw new Error("Invalid expiration date");
+    return { at_time: ToNanos(input) };
+  }
+  if (typeof input === 'object') {
+    if (input.at_time !== undefined) return { at_time: timestampToNanos(input.at_time) };
+    if (input.at_height !== undefined) return { at_height: Number(input.at_height) };
+    if (input.never !== undefined) return { never: {} };
+    throw new Error("Invalid expiration: " + JSON.stringify(input));
+  }
+  if (input === 'never') return { never: {} };
+  if (/^\d+(\.\d+)?$/.test(String(input).trim())) return { at_time: timestampToNanos(String(input).trim()) };
+  const reference = (now instanceof Date) ? now.getTime() : now;
+  return { at_time: ToNanos(reference + ParseDuration(input)) };
+}
+
+/**
+ * Get the JS Date of an `at_time` expiration
+ * @param {Object} expiration : A cw `Expiration`
+ * @returns {Date|null} : `null` for `at_height` and `never` expirations
+ */
+function ToDate(expiration) {
+  if (!expiration || expiration.at_time === undefined) return null;
+  return FromNanos(expiration.at_time);
+}
+
+/**
+ * Check if an expiration has passed
+ * @param {Object} expiration : A cw `Expiration`
+ * @param {Object} at? : (Optional) `{ now, height }`; `now` defaults to `Date.now()`. `at_height`
+ * expirations are only considered expired if `height` is given
+ * @returns {Boolean}
+ */
+function IsExpired(expiration, at = {}) {
+  if (!expiration || expiration.never !== undefined) return false;
+  if (expiration.at_time !== undefined) {
+    const now = (at.now instanceof Date) ? at.now.getTime() : (at.now || Date.now());
+    return BigInt(expiration.at_time) <= BigInt(Math.round(now)) * NANOS_PER_MILLI;
+  }
+  if (expiration.at_height !== undefined && at.height) {
+    return Number(expiration.at_height) <= Number(at.height);
+  }
+  return false;
+}
+
+/**
+ * Check if an expiration has passed, querying the current block height for `at_height` expirations
+ * @param {Object} expiration : A cw `Expiration`
+ * @param {Object} client : instance of signing (or query) client
+ * @returns {Boolean}
+ */
+async function HasExpired(expiration, client) {
+  if (expiration && expiration.at_height !== undefined) {
+    return IsExpired(expiration, { height: await client.wasmClient.getHeight() });
+  }
+  return IsExpired(expiration);
+}
+
+export {
+  ParseDuration,
+  ToNanos,
+  FromNanos,
+  Expiration,
+  ToDate,
+  IsExpired,
+  HasExpired
+}
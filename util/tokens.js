@@ -0,0 +1,92 @@
+import { Client } from './client.js';
+import { FormatAmount } from './denom.js';
+import { Network } from './networks.js';
+import { Query as Cw20Query } from '../cw20-contract/cw20.js';
+
+// Token info, cached per network and cw20 address
+const registry = new Map();
+
+/**
+ * @typedef {Object} TokenInfo
+ * @property {String|null} address : Contract address of the cw20, or `null` for the native denom
+ * @property {String} symbol : e.g. "ARCH", "WARCH"
+ * @property {Number} decimals : e.g. 18
+ * @property {String} name : e.g. "Wrapped Archway"
+ */
+
+function registryKey(payment_token, client) {
+  let network = (client && client.network) ? client.network : Network();
+  return network.name + ':' + payment_token;
+}
+
+/**
+ * Get the symbol and decimals of a payment token. cw20 token info is queried once and cached.
+ * @param {String|null} payment_token? : (Optional) Contract address of a cw20, or `null` for native ARCH
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @returns {TokenInfo|Object} : Returns the token info, or `{ error }` if the cw20 couldn't be queried
+ */
+async function Token(payment_token = null, client = null) {
+  if (!client) client = await Client();
+  if (!payment_token) {
+    let currency = client.chainInfo.currencies[0];
+    return {
+      address: null,
+      symbol: currency.coinDenom,
+      decimals: currency.coinDecimals,
+      name: currency.coinDenom
+    };
+  }
+
+  let key = registryKey(payment_token, client);
+  if (registry.has(key)) return registry.get(key);
+
+  let info = await Cw20Query.TokenInfo(payment_token, client);
+  if (info.error) return info;
+  let token = {
+    address: payment_token,
+    symbol: info.symbol,
+    decimals: info.decimals,
+    name: info.name
+  };
+  registry.set(key, token);
+  return token;
+}
+
+/**
+ * Add (or replace) the token info of a cw20, e.g. for tokens known ahead of time
+ * @param {String} payment_token : Contract address of the cw20
+ * @param {Object} info : `{ symbol, decimals, name }`
+ * @param {Object} client? : (Optional) client whose network the token belongs to; defaults to the active network
+ * @returns {TokenInfo}
+ */
+function RegisterToken(payment_token, info, client = null) {
+  let token = {
+    address: payment_token,
+    symbol: info.symbol,
+    decimals: info.decimals,
+    name: info.name || info.symbol
+  };
+  registry.set(registryKey(payment_token, client), token);
+  return token;
+}
+
+/**
+ * Format a swap price with the decimals and symbol of its payment token
+ * @param {String|Number} price : Price in atomic units of the payment token (e.g. aarch)
+ * @param {String|null} payment_token? : (Optional) Contract address of a cw20, or `null` for native ARCH
+ * @param {SigningCosmWasmClient} client? :  (Optional) instance of signing client
+ * @param {Number} precision? : (Optional) Max. fraction digits; `null` keeps all significant digits. Default null
+ * @param {String} symbol? : (Optional) Symbol to display instead of the token's own symbol
+ * @returns {String} : e.g. "1.5 ARCH", "20 WARCH"; the raw atomic amount if the token info is unavailable
+ */
+async function FormatPrice(price, payment_token = null, client = null, precision = null, symbol = null) {
+  let token = await Token(payment_token, client);
+  if (token.error) return String(price) + " " + (symbol || payment_token);
+  return FormatAmount(price, token.decimals, precision) + " " + (symbol || token.symbol);
+}
+
+export {
+  Token,
+  RegisterToken,
+  FormatPrice
+}
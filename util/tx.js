@@ -0,0 +1,180 @@
+/* global BigInt */
+import { toUtf8 } from "@cosmjs/encoding";
+import { GasPrice, calculateFee } from "@cosmjs/stargate";
+import { MsgExecuteContract } from "cosmjs-types/cosmwasm/wasm/v1/tx.js";
+import { Network } from "./networks.js";
+import { FormatPrice } from "./tokens.js";
+import { InvalidateTx } from "./cache.js";
+
+// Max. gas of a single tx sent by `BroadcastBatched`, unless `options.gasLimit` is given
+const DEFAULT_GAS_LIMIT = 5_000_000;
+// Simulated gas is multiplied by this factor, unless `options.gasMultiplier` is given
+const DEFAULT_GAS_MULTIPLIER = 1.3;
+
+/**
+ * Encode an execute instruction as a `MsgExecuteContract`, e.g. for gas simulation
+ * @param {String} sender : Address of the tx sender
+ * @param {Object} instruction : `{ contractAddress, msg, funds? }`
+ * @returns {EncodeObject}
+ */
+function EncodeInstruction(sender, instruction) {
+  return {
+    typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
+    value: MsgExecuteContract.fromPartial({
+      sender: sender,
+      contract: instruction.contractAddress,
+      msg: toUtf8(JSON.stringify(instruction.msg)),
+      funds: [...(instruction.funds || [])]
+    })
+  };
+}
+
+/**
+ * Simulate contract executions and estimate their fee
+ * @param {Object} client : instance of signing client
+ * @param {Array} instructions : Array of `{ contractAddress, msg, funds? }` execute instructions
+ * @param {String} memo? : (Optional) tx memo
+ * @param {Object} options? : (Optional) `{ gasMultiplier }`; factor applied to the simulated gas. Default 1.3
+ * @returns {StdFee} : `{ amount, gas }`; the gas limit and fee to broadcast the executions with
+ */
+async function Estimate(client, instructions, memo = "", options = {}) {
+  const multiplier = options.gasMultiplier || DEFAULT_GAS_MULTIPLIER;
+  let accounts = await client.offlineSigner.getAccounts();
+  let sender = accounts[0].address;
+  let messages = instructions.map((instruction) => EncodeInstruction(sender, instruction));
+  if (typeof client.wasmClient.getEstimateTxFees === 'function') {
+    // Archway clients price gas with the network's minimum gas price and include contract premiums
+    return client.wasmClient.calculateFee(sender, messages, memo, multiplier);
+  }
+  let gas = Math.ceil(await client.wasmClient.simulate(sender, messages, memo) * multiplier);
+  let network = client.network || Network();
+  return calculateFee(gas, GasPrice.fromString(network.gasPrice));
+}
+
+/**
+ * Describe a tx that would be broadcast with `fee`, without broadcasting it (e.g. a dry-run)
+ * @param {Object} client : instance of signing client
+ * @param {Array} instructions : Array of `{ contractAddress, msg, funds? }` execute instructions
+ * @param {StdFee} fee : Fee from `Estimate`
+ * @returns {Object} : `{ simulated, gas, fee: { amount, denom, display }, funds, instructions }`
+ */
+async function Simulation(client, instructions, fee) {
+  let funds = {};
+  instructions.forEach((instruction) => {
+    (instruction.funds || []).forEach((coin) => {
+      funds[coin.denom] = (BigInt(funds[coin.denom] || 0) + BigInt(coin.amount)).toString();
+    });
+  });
+  let feeCoin = fee.amount[0] || { amount: "0", denom: client.chainInfo.currencies[0].coinMinimalDenom };
+  return {
+    simulated: true,
+    gas: Number(fee.gas),
+    fee: {
+      amount: feeCoin.amount,
+      denom: feeCoin.denom,
+      display: await FormatPrice(feeCoin.amount, null, client)
+    },
+    funds: Object.entries(funds).map(([denom, amount]) => ({ amount: amount, denom: denom })),
+    instructions: instructions
+  };
+}
+
+/**
+ * Broadcast one or more contract executions in a single tx, signed by the client's first account.
+ * The tx is simulated first, and broadcast with the simulated gas (see `Estimate`). Once it succeeds, the cached
+ * queries it affects are removed (see `InvalidateTx` in `util/cache.js`).
+ * @param {Object} client : instance of signing client
+ * @param {Array} instructions : Array of `{ contractAddress, msg, funds? }` execute instructions
+ * @param {String} memo? : (Optional) tx memo
+ * @param {Object} options? : (Optional) `{ simulate, gasMultiplier, cache }`; if `simulate` is true, nothing is broadcast
+ * and the estimated gas, fee and funds are returned instead (see `Simulation`)
+ * @returns {ExecuteResult|Object} : Returns the tx result, or the simulation
+ */
+async function Broadcast(client, instructions, memo = "", options = {}) {
+  let fee = await Estimate(client, instructions, memo, options);
+  if (options.simulate) return Simulation(client, instructions, fee);
+
+  let accounts = await client.offlineSigner.getAccounts();
+  let tx;
+  if (instructions.length == 1) {
+    tx = await client.wasmClient.execute(
+      accounts[0].address,
+      instructions[0].contractAddress,
+      instructions[0].msg,
+      fee,
+      memo,
+      instructions[0].funds
+    );
+  } else {
+    tx = await client.wasmClient.executeMultiple(
+      accounts[0].address,
+      instructions,
+      fee,
+      memo
+    );
+  }
+  await InvalidateTx(client, instructions, options);
+  return tx;
+}
+
+/**
+ * Broadcast groups of contract executions in as few txs as the gas limit allows. Groups are never
+ * split across txs (e.g. a cw721 `Approve` and the marketplace msg that depends on it), and txs are
+ * broadcast in order, one after the other. Each tx is simulated first; if its gas exceeds the limit,
+ * its groups are split in half until every tx fits.
+ * @param {Object} client : instance of signing client
+ * @param {Array} groups : Array of arrays of `{ contractAddress, msg, funds? }` execute instructions
+ * @param {String} memo? : (Optional) tx memo
+ * @param {Object} options? : (Optional) `{ gasLimit, gasMultiplier, simulate }`; `gasLimit` is the max. gas of a single
+ * tx (default 5,000,000). If `simulate` is true, nothing is broadcast and the simulation of each tx is returned instead
+ * @returns {Array} : Returns the results (or simulations) of all txs, in order
+ * @throws {Error} : The error of the first failed tx, with the txs broadcast before it: `error.results` are their results,
+ * and `error.broadcast` the amount of groups they executed (i.e. groups `0` to `broadcast - 1` are on chain, the others aren't)
+ */
+async function BroadcastBatched(client, groups, memo = "", options = {}) {
+  const gasLimit = options.gasLimit || DEFAULT_GAS_LIMIT;
+  let accounts = await client.offlineSigner.getAccounts();
+
+  let results = [];
+  let broadcast = 0;
+  let pending = [groups];
+  try {
+    while (pending.length) {
+      let batch = pending.shift();
+      let instructions = batch.flat();
+      let fee = await Estimate(client, instructions, memo, options);
+      if (Number(fee.gas) > gasLimit && batch.length > 1) {
+        let half = Math.ceil(batch.length / 2);
+        pending.unshift(batch.slice(0, half), batch.slice(half));
+        continue;
+      }
+      if (Number(fee.gas) > gasLimit) {
+        throw new Error("Gas of a single msg group (" + fee.gas + ") exceeds the gas limit of " + gasLimit);
+      }
+      if (options.simulate) {
+        results.push(await Simulation(client, instructions, fee));
+      } else {
+        results.push(await client.wasmClient.executeMultiple(accounts[0].address, instructions, fee, memo));
+        await InvalidateTx(client, instructions, options);
+      }
+      broadcast += batch.length;
+    }
+  } catch (e) {
+    if (e instanceof Error) {
+      e.results = results;
+      e.broadcast = broadcast;
+    }
+    throw e;
+  }
+  return results;
+}
+
+export {
+  DEFAULT_GAS_LIMIT,
+  DEFAULT_GAS_MULTIPLIER,
+  EncodeInstruction,
+  Estimate,
+  Simulation,
+  Broadcast,
+  BroadcastBatched
+}
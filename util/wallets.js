@@ -0,0 +1,124 @@
+import { DirectSecp256k1HdWallet, DirectSecp256k1Wallet, makeCosmoshubPath } from "@cosmjs/proto-signing";
+import { fromHex } from "@cosmjs/encoding";
+
+/**
+ * @typedef {Object} WalletAdapter
+ * @property {String} name : Name of the wallet, e.g. "keplr"
+ * @property {Function} Connect : `async (network) => OfflineSigner`; enables the network's chain in the wallet, and returns its signer
+ * @property {Function} OnAccountChange? : (Optional) `(listener) => unsubscribe`; calls `listener` when the user switches accounts
+ */
+
+/**
+ * Adapter of a browser extension wallet with Keplr's API (`experimentalSuggestChain`, `enable` and `getOfflineSignerAuto`)
+ * @param {String} name : Name of the wallet
+ * @param {Function} provider : Returns the wallet's injected provider, e.g. `() => globalThis.keplr`
+ * @param {String} event? : (Optional) Window event fired when the user switches accounts, e.g. "keplr_keystorechange"
+ * @returns {WalletAdapter}
+ */
+function InjectedWallet(name, provider, event = null) {
+  async function Connect(network) {
+    let wallet = provider();
+    if (!wallet) throw new Error(name + " wallet not found; is the extension installed?");
+    await wallet.experimentalSuggestChain(network.chain);
+    await wallet.enable(network.chain.chainId);
+    wallet.defaultOptions = {sign:{preferNoSetFee: true}};
+    return wallet.getOfflineSignerAuto(network.chain.chainId);
+  }
+
+  function OnAccountChange(listener) {
+    if (!event || typeof window === 'undefined') return () => {};
+    window.addEventListener(event, listener);
+    return () => window.removeEventListener(event, listener);
+  }
+
+  return { name, Connect, OnAccountChange };
+}
+
+/**
+ * Keplr browser extension
+ * @returns {WalletAdapter}
+ */
+function KeplrWallet() {
+  return InjectedWallet("keplr", () => globalThis.keplr, "keplr_keystorechange");
+}
+
+/**
+ * Leap browser extension
+ * @returns {WalletAdapter}
+ */
+function LeapWallet() {
+  return InjectedWallet("leap", () => globalThis.leap, "leap_keystorechange");
+}
+
+/**
+ * Cosmostation browser extension, through its Keplr compatible provider
+ * @returns {WalletAdapter}
+ */
+function CosmostationWallet() {
+  return InjectedWallet(
+    "cosmostation",
+    () => globalThis.cosmostation && globalThis.cosmostation.providers.keplr,
+    "cosmostation_keystorechange"
+  );
+}
+
+/**
+ * Signer of a mnemonic or a private key (e.g. for bots and back-office scripts)
+ * @param {String} secret : A bip39 mnemonic, or a hex encoded secp256k1 private key (optionally `0x` prefixed)
+ * @param {Number} account? : (Optional) HD account index used when `secret` is a mnemonic. Default 0
+ * @returns {WalletAdapter}
+ */
+function MnemonicWallet(secret, account = 0) {
+  async function Connect(network) {
+    const prefix = network.chain.bech32Config.bech32PrefixAccAddr;
+    const key = secret.trim().replace(/^0x/, '');
+    if (/^[0-9a-fA-F]{64}$/.test(key)) {
+      return DirectSecp256k1Wallet.fromKey(fromHex(key), prefix);
+    }
+    return DirectSecp256k1HdWallet.fromMnemonic(secret.trim(), {
+      prefix: prefix,
+      hdPaths: [makeCosmoshubPath(account)]
+    });
+  }
+
+  return { name: "mnemonic", Connect };
+}
+
+/**
+ * Ledger hardware wallet
+ * @param {Object} transport : A Ledger transport, e.g. from `@ledgerhq/hw-transport-webusb` or `@ledgerhq/hw-transport-node-hid`
+ * @param {Function} LedgerSigner : The `LedgerSigner` class of `@cosmjs/ledger-amino`; it isn't a dependency of these helpers,
+ * so it's passed in by apps that use a Ledger
+ * @param {Number} account? : (Optional) HD account index. Default 0
+ * @returns {WalletAdapter}
+ */
+function LedgerWallet(transport, LedgerSigner, account = 0) {
+  async function Connect(network) {
+    return new LedgerSigner(transport, {
+      prefix: network.chain.bech32Config.bech32PrefixAccAddr,
+      hdPaths: [makeCosmoshubPath(account)]
+    });
+  }
+
+  return { name: "ledger", Connect };
+}
+
+/**
+ * Adapter of any other cosmjs `OfflineSigner`
+ * @param {OfflineSigner} signer : The signer
+ * @param {String} name? : (Optional) Name of the wallet. Default "signer"
+ * @returns {WalletAdapter}
+ */
+function SignerWallet(signer, name = "signer") {
+  return { name: name, Connect: async () => signer };
+}
+
+export {
+  InjectedWallet,
+  KeplrWallet,
+  LeapWallet,
+  CosmostationWallet,
+  MnemonicWallet,
+  LedgerWallet,
+  SignerWallet
+}